@@ -0,0 +1,89 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+// Renders the static map used in degraded mode (core/static-map) from the live 3D map:
+// opens a page with the map in headless Chromium, runs loader.captureStaticMap() on the
+// configured starting view and writes
+//   - public/static-map.webp (deployed next to the models, referenced as ui.staticMap.image)
+//   - the station hotspots (% of the image) into src/config/3d-config.json
+// Usage: npm run dev, then node scripts/capture-static-map.js [pageUrl] [width] [height]
+// Without pageUrl a bare fullscreen map page is served on the dev server, so the capture uses the
+// local model and config; any page that mounts the map works too (e.g. the published site).
+// Needs Playwright's Chromium (npx playwright install chromium), or any Chromium build through
+// CHROMIUM_PATH; WebGL runs on SwiftShader when there is no GPU.
+
+const IMAGE_FILE = 'static-map.webp';
+const CONFIG_FILE = join('src', 'config', '3d-config.json');
+const READY_TIMEOUT_MS = 120000;
+const DEV_SERVER = 'http://localhost:8080';
+const CAPTURE_PAGE = `${DEV_SERVER}/__map3d-capture.html`;
+const CAPTURE_HTML = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><style>html, body { margin: 0; background: #3c5e71; }</style></head>
+<body><div id="webgl-container"></div>
+<script type="module" src="/src/scripts/simple-3d-loader.js"></script></body></html>`;
+
+const [pageUrl = CAPTURE_PAGE, width = '1600', height = '1000'] = process.argv.slice(2);
+
+async function capture() {
+  const { chromium } = await import('playwright');
+  const browser = await chromium.launch({
+    executablePath: process.env.CHROMIUM_PATH || undefined,
+    args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist']
+  });
+  try {
+    // Reduced motion skips the welcome flight, so the capture shows the configured camera
+    const page = await browser.newPage({
+      viewport: { width: Number(width), height: Number(height) },
+      reducedMotion: 'reduce'
+    });
+    page.on('pageerror', error => console.warn('⚠️ Page error:', error.message));
+    if (pageUrl === CAPTURE_PAGE) {
+      await page.route(CAPTURE_PAGE, route => route.fulfill({ contentType: 'text/html', body: CAPTURE_HTML }));
+    }
+    await page.goto(pageUrl, { waitUntil: 'load' });
+    console.log(`⏳ Waiting for the 3D map on ${pageUrl}...`);
+    await page.waitForFunction(() => {
+      const loader = window.simple3DLoader;
+      if (loader && (loader.degraded || loader.loadingState === 'error')) return true;
+      return loader && loader.loadingState === 'loaded' && loader._lastCameraState && !loader._lastCameraState.moving;
+    }, null, { timeout: READY_TIMEOUT_MS, polling: 500 });
+
+    return await page.evaluate(async () => {
+      const loader = window.simple3DLoader;
+      if (loader.degraded || loader.loadingState !== 'loaded') {
+        throw new Error('The 3D map did not load in the browser (no WebGL?)');
+      }
+      if (!loader.staticMapAttached) await loader.loadModule('core/static-map');
+      return loader.captureStaticMap({ type: 'image/webp', quality: 0.85 });
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const result = await capture();
+  const base64 = result.image.slice(result.image.indexOf(',') + 1);
+  writeFileSync(join('public', IMAGE_FILE), Buffer.from(base64, 'base64'));
+  console.log(`🖼️ Wrote public/${IMAGE_FILE} (${result.width}x${result.height})`);
+
+  const config = JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+  config.ui = config.ui || {};
+  config.ui.staticMap = { ...(config.ui.staticMap || {}), image: IMAGE_FILE };
+  const missing = [];
+  (config.stations || []).forEach((station) => {
+    const hotspot = result.hotspots[station.modalId];
+    if (hotspot) station.hotspot = hotspot;
+    else missing.push(station.modalId);
+  });
+  writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  console.log(`📍 ${Object.keys(result.hotspots).length} hotspots written to ${CONFIG_FILE}`);
+  if (missing.length) {
+    console.warn(`⚠️ Not visible in the captured view (listed below the image instead): ${missing.join(', ')}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Static map capture failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+import assert from 'assert/strict';
+
+// Runs the model loader's decoder check (core/model-loader) against minimal glTF files with the
+// Three.js loaders from node_modules, the same versions the vendor bundle ships.
+// Usage: node scripts/check-model-decoders.js (part of npm test; exits non-zero on failure)
+
+// Core modules register themselves on window; Node only needs the attach function
+globalThis.window = globalThis.window || globalThis;
+const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+const { DRACOLoader } = await import('three/addons/loaders/DRACOLoader.js');
+const { attachModelLoader } = await import('../src/modules/core/model-loader.js');
+
+// GLTFLoader preloads the Draco decoder as soon as a file uses it; there is nothing to fetch here
+class OfflineDRACOLoader extends DRACOLoader {
+  preload() { return this; }
+}
+
+function mapLoader() {
+  const loader = { getDecoderPath: type => `/decoders/${type}/` };
+  attachModelLoader(loader);
+  return loader;
+}
+
+function gltf(extension) {
+  return JSON.stringify({
+    asset: { version: '2.0' },
+    extensionsUsed: [extension],
+    extensionsRequired: [extension],
+    scenes: [{ nodes: [] }],
+    scene: 0
+  });
+}
+
+// Resolves the parse result; a decoder check failure comes back as the thrown error
+function parse(loader, json) {
+  return new Promise((resolve) => {
+    try {
+      loader.createGLTFLoader().parse(json, '', () => resolve(null), resolve);
+    } catch (error) {
+      resolve(error);
+    }
+  });
+}
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('Draco-compressed models load when DRACOLoader is available', async () => {
+  window.GLTFLoader = GLTFLoader;
+  window.DRACOLoader = OfflineDRACOLoader;
+  const loader = mapLoader();
+  const error = await parse(loader, gltf('KHR_draco_mesh_compression'));
+  assert.equal(error, null, error && error.message);
+  loader.disposeModelDecoders();
+});
+
+check('Draco-compressed models fail with missingDecoders without DRACOLoader', async () => {
+  window.GLTFLoader = GLTFLoader;
+  delete window.DRACOLoader;
+  const error = await parse(mapLoader(), gltf('KHR_draco_mesh_compression'));
+  assert.ok(error, 'expected the decoder check to fail');
+  assert.deepEqual(error.missingDecoders, ['KHR_draco_mesh_compression']);
+});
+
+check('required meshopt fails without MeshoptDecoder', async () => {
+  window.GLTFLoader = GLTFLoader;
+  delete window.MeshoptDecoder;
+  const error = await parse(mapLoader(), gltf('EXT_meshopt_compression'));
+  assert.deepEqual(error && error.missingDecoders, ['EXT_meshopt_compression']);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    // eslint-disable-next-line no-await-in-loop
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+if (failed) {
+  console.error(`\n${failed}/${checks.length} model decoder checks failed`);
+  process.exit(1);
+}
+console.log(`\n🎉 ${checks.length} model decoder checks passed`);
@@ -1,5 +1,6 @@
-import { copyFileSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync } from 'fs';
+import { copyFileSync, mkdirSync, readdirSync, statSync, readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
+import { createHash } from 'crypto';
 
 // Helper function to copy directory recursively
 function copyDir(src, dest) {
@@ -38,6 +39,67 @@ function rewritePathsForStaging(htmlContent) {
     .replace(/href="(?!http|\/\/)(images\/[^"]+)"/g, 'href="webflow-staging-site-files/$1"');
 }
 
+// Stamp the self-hosted Three.js bundle's version + SRI hash (dist/vendor/three-manifest.json,
+// written by vite.config.js) into the deployed loader copies
+function stampThreeBundle(loaderPaths) {
+  const manifest = JSON.parse(readFileSync(join('dist', 'vendor', 'three-manifest.json'), 'utf8'));
+  for (const loaderPath of loaderPaths) {
+    try {
+      const source = readFileSync(loaderPath, 'utf8');
+      if (!source.includes('__THREE_BUNDLE_INTEGRITY__')) {
+        console.warn(`⚠️ No Three.js placeholders in ${loaderPath}`);
+        continue;
+      }
+      writeFileSync(loaderPath, source
+        .replace(/__THREE_VERSION__/g, manifest.version)
+        .replace(/__THREE_BUNDLE_INTEGRITY__/g, manifest.integrity));
+      console.log(`✅ Stamped three ${manifest.version} (${manifest.integrity}) into ${loaderPath}`);
+    } catch (err) {
+      console.warn(`⚠️ Could not stamp ${loaderPath}:`, err.message);
+    }
+  }
+}
+
+// Stamp the offline service worker with its precache list (paths relative to the deployment root)
+// and a hash of those files as cache version, so every deployment installs a fresh worker
+function stampServiceWorker(workerPaths) {
+  const manifest = JSON.parse(readFileSync(join('dist', 'vendor', 'three-manifest.json'), 'utf8'));
+  const listFiles = (dir, extensions) => (existsSync(join('dist', dir))
+    ? readdirSync(join('dist', dir)).filter(f => extensions.some(ext => f.endsWith(ext))).map(f => (dir ? `${dir}/${f}` : f))
+    : []);
+  const threeDir = `vendor/three-${manifest.version}`;
+  const precache = [
+    'src/scripts/simple-3d-loader.js',
+    'scripts/simple-3d-loader.js',
+    ...listFiles('src/modules/core', ['.js']),
+    // Imported by core modules (config-loader -> config-validation)
+    ...listFiles('src/modules/shared', ['.js']),
+    manifest.file,
+    // The Draco encoder ships with the decoders but is never loaded at runtime
+    ...listFiles(`${threeDir}/draco`, ['.js', '.wasm']).filter(file => !file.endsWith('draco_encoder.js')),
+    ...listFiles(`${threeDir}/basis`, ['.js', '.wasm']),
+    'src/config/3d-config.json',
+    'src/config/3d-config-schema.json',
+    ...listFiles('', ['.glb'])
+  ].filter(file => existsSync(join('dist', file)));
+
+  const hash = createHash('sha256');
+  precache.forEach(file => hash.update(file).update(readFileSync(join('dist', file))));
+  const version = hash.digest('hex').slice(0, 12);
+
+  for (const workerPath of workerPaths) {
+    try {
+      const source = readFileSync(workerPath, 'utf8');
+      writeFileSync(workerPath, source
+        .replace(/(['"])__MAP3D_PRECACHE__\1/, JSON.stringify(precache))
+        .replace(/__MAP3D_CACHE_VERSION__/g, version));
+      console.log(`✅ Stamped service worker ${version} (${precache.length} files) into ${workerPath}`);
+    } catch (err) {
+      console.warn(`⚠️ Could not stamp ${workerPath}:`, err.message);
+    }
+  }
+}
+
 console.log('📁 Smart Selective Copying for Vercel deployment...');
 
 try {
@@ -77,6 +139,25 @@ try {
     console.warn('⚠️ Could not copy src:', err.message);
   }
   
+  // 4. Pin the loader to the self-hosted Three.js bundle built by Vite
+  console.log('\n🔹 Stamping Three.js bundle integrity into the loader:');
+  stampThreeBundle([
+    join('dist', 'src', 'scripts', 'simple-3d-loader.js'),
+    join('dist', 'scripts', 'simple-3d-loader.js')
+  ]);
+
+  // 5. Offline service worker next to both loader copies (src/ was copied above)
+  console.log('\n🔹 Stamping the offline service worker:');
+  try {
+    copyFileSync(join('src', 'scripts', 'map3d-sw.js'), join('dist', 'scripts', 'map3d-sw.js'));
+  } catch (err) {
+    console.warn('⚠️ Could not copy map3d-sw.js to dist/scripts:', err.message);
+  }
+  stampServiceWorker([
+    join('dist', 'src', 'scripts', 'map3d-sw.js'),
+    join('dist', 'scripts', 'map3d-sw.js')
+  ]);
+
   // Note: public/ directory is automatically handled by Vite (public/* → dist/*)
   console.log('📝 Skipped public/ (handled by Vite automatically)');
   
@@ -0,0 +1,80 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import assert from 'assert/strict';
+import {
+  CURRENT_CONFIG_VERSION, migrateConfig, validateConfig, prepareConfig, formatConfigErrors
+} from '../src/modules/shared/config-validation.js';
+
+// Checks the shipped runtime config against 3d-config-schema.json and exercises the shared
+// validation, migration and merge logic the loader and the Vite config endpoints rely on.
+// Usage: npm run validate-config (exits non-zero on the first failure)
+
+// Core modules register themselves on window; Node only needs the exported functions
+globalThis.window = globalThis.window || globalThis;
+const { deepMerge } = await import('../src/modules/core/config-loader.js');
+
+const readJson = file => JSON.parse(readFileSync(join('src', 'config', file), 'utf8'));
+const schema = readJson('3d-config-schema.json');
+const shipped = readJson('3d-config.json');
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('shipped 3d-config.json matches the schema', () => {
+  const { valid, errors, migration } = prepareConfig(shipped, schema);
+  assert.ok(valid, `\n${formatConfigErrors(errors)}`);
+  assert.deepEqual(migration.applied, [], 'shipped config should already be on the current format');
+  assert.equal(shipped.version, CURRENT_CONFIG_VERSION);
+});
+
+check('1.0.0 configs get camera distance limits copied into controls', () => {
+  const legacy = { camera: { minDistance: 50, maxDistance: 200 } };
+  const { config, from, to, applied } = migrateConfig(legacy);
+  assert.equal(from, '1.0.0');
+  assert.equal(to, CURRENT_CONFIG_VERSION);
+  assert.deepEqual(applied, ['1.0.0 -> 1.1.0']);
+  assert.deepEqual(config.controls, { minDistance: 50, maxDistance: 200 });
+  assert.equal(legacy.controls, undefined, 'the input config must not be modified');
+});
+
+check('existing controls win over migrated camera limits', () => {
+  const { config } = migrateConfig({ camera: { minDistance: 50 }, controls: { minDistance: 10 } });
+  assert.equal(config.controls.minDistance, 10);
+});
+
+check('schema errors carry dotted paths', () => {
+  const { valid, errors } = validateConfig({ version: CURRENT_CONFIG_VERSION, camera: { position: [1, 'a', 3] } }, schema);
+  assert.equal(valid, false);
+  assert.ok(errors.some(e => e.path === 'camera.position[1]'), formatConfigErrors(errors));
+});
+
+check('configs from a newer format are rejected', () => {
+  const { valid, errors } = validateConfig({ ...shipped, version: '99.0.0' }, schema);
+  assert.equal(valid, false);
+  assert.ok(errors.some(e => e.path === 'version'));
+});
+
+check('deepMerge merges objects and replaces arrays', () => {
+  const merged = deepMerge(
+    { camera: { position: [0, 0, 0], fov: 60 }, ui: { layout: 'fullscreen' } },
+    { camera: { position: [1, 2] }, ui: { layout: undefined, staticMap: { image: 'a.webp' } } }
+  );
+  assert.deepEqual(merged, { camera: { position: [1, 2], fov: 60 }, ui: { layout: 'fullscreen', staticMap: { image: 'a.webp' } } });
+});
+
+let failed = 0;
+checks.forEach(({ name, fn }) => {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+});
+
+if (failed) {
+  console.error(`\n${failed}/${checks.length} config checks failed`);
+  process.exit(1);
+}
+console.log(`\n🎉 ${checks.length} config checks passed`);
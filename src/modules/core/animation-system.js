@@ -1,5 +1,27 @@
 // Animation System Module (Phase 2 - Task 2.1.2 initial extraction)
-// Provides: loader.playWelcomeAnimation() replacing legacy method.
+// Provides: loader.playWelcomeAnimation() replacing legacy method,
+//           loader.animateCamera(), loader.cutCamera(), loader.flyToStation(), loader.flyBack()
+// Under the loader's reduced-motion policy every camera move becomes a cut (optionally
+// hidden behind a short canvas fade, config.accessibility.reducedMotionCrossfade).
+
+// Gentler exponential in/out (12 instead of 20) used by every camera move
+function easeInOutExpo(t) {
+  if (t === 0) return 0;
+  if (t === 1) return 1;
+  if (t < 0.5) return Math.pow(2, 12 * t - 6) / 2;
+  return (2 - Math.pow(2, -12 * t + 6)) / 2;
+}
+
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t),
+  easeInOut: easeInOutExpo
+};
+
+export function ease(name, t) {
+  return (EASINGS[name] || EASINGS.linear)(t);
+}
 
 export function attachAnimationSystem(loader) {
   if (!loader) return;
@@ -8,6 +30,82 @@ export function attachAnimationSystem(loader) {
     return;
   }
 
+  // Tween camera + controls target as the 'camera-animation' frame task;
+  // resolves true when finished, false when cancelled
+  loader.animateCamera = function animateCamera(endPos, endTarget, { duration = 1000, easing = 'easeInOut', startPos, startTarget, crossfade } = {}) {
+    if (!this.camera || !this.controls || !window.THREE) return Promise.resolve(false);
+    this.cancelCameraAnimation();
+    if (this.reducedMotion) {
+      const fade = crossfade ?? this.config.accessibility?.reducedMotionCrossfade ?? 0;
+      return this.cutCamera(endPos, endTarget, { fade });
+    }
+    // Frame tasks do not run while rendering is paused (tab hidden, map off-screen): nobody sees it, cut
+    if (this.pauseRendering) return this.cutCamera(endPos, endTarget);
+    const fromPos = startPos ? startPos.clone() : this.camera.position.clone();
+    const fromTarget = startTarget ? startTarget.clone() : this.controls.target.clone();
+    const toPos = endPos.clone();
+    const toTarget = endTarget.clone();
+    this.camera.position.copy(fromPos);
+    this.controls.target.copy(fromTarget);
+    this.controls.update();
+
+    return new Promise((resolve) => {
+      const token = { cancelled: false, resolve };
+      this._cameraAnimation = token;
+      const startTime = performance.now();
+      token.removeTask = this.addFrameTask('camera-animation', (now) => {
+        const progress = duration > 0 ? Math.min(Math.max(now - startTime, 0) / duration, 1) : 1;
+        const eased = ease(easing, progress);
+        this.camera.position.lerpVectors(fromPos, toPos, eased);
+        this.controls.target.lerpVectors(fromTarget, toTarget, eased);
+        this.controls.update();
+        if (progress < 1) return true;
+        this.camera.position.copy(toPos);
+        this.controls.target.copy(toTarget);
+        this.controls.update();
+        token.removeTask();
+        this._cameraAnimation = null;
+        resolve(true);
+        return false;
+      }, { priority: 'animation' });
+      this.invalidate();
+    });
+  };
+
+  // Jump straight to a pose; with fade > 0 the canvas dips out and back in around the cut
+  loader.cutCamera = async function cutCamera(position, target, { fade = 0 } = {}) {
+    const apply = () => {
+      this.camera.position.copy(position);
+      this.controls.target.copy(target);
+      this.controls.update();
+    };
+    const canvas = this.renderer && this.renderer.domElement;
+    if (!fade || !canvas || typeof canvas.animate !== 'function') {
+      apply();
+      return true;
+    }
+    const half = fade / 2;
+    try {
+      const fadeOut = canvas.animate([{ opacity: 1 }, { opacity: 0 }], { duration: half, fill: 'forwards' });
+      await fadeOut.finished;
+      apply();
+      const fadeIn = canvas.animate([{ opacity: 0 }, { opacity: 1 }], { duration: half });
+      fadeOut.cancel();
+      await fadeIn.finished;
+    } catch (e) {
+      apply(); // animation cancelled (e.g. element removed); still land on the pose
+    }
+    return true;
+  };
+
+  loader.cancelCameraAnimation = function cancelCameraAnimation() {
+    if (!this._cameraAnimation) return;
+    this._cameraAnimation.cancelled = true;
+    this._cameraAnimation.removeTask && this._cameraAnimation.removeTask();
+    this._cameraAnimation.resolve(false);
+    this._cameraAnimation = null;
+  };
+
   loader.playWelcomeAnimation = function playWelcomeAnimation() {
     const animConfig = this.config.animations.welcomeAnimation;
     if (!animConfig?.enabled) return;
@@ -16,39 +114,69 @@ export function attachAnimationSystem(loader) {
       return;
     }
     console.log('🎬 (module) Playing welcome animation...');
-    const startPos = new THREE.Vector3(...animConfig.startPosition);
-    const startTarget = new THREE.Vector3(...animConfig.startTarget);
-    const endPos = new THREE.Vector3(...animConfig.endPosition);
-    const endTarget = new THREE.Vector3(...animConfig.endTarget);
-    this.camera.position.copy(startPos);
-    this.controls.target.copy(startTarget);
-    this.controls.update();
-    const startTime = performance.now();
-    const duration = animConfig.duration;
-    const animateCamera = () => {
-      const elapsed = performance.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      let easedProgress = progress;
-      if (animConfig.easing === 'easeInOut') {
-        if (progress === 0) easedProgress = 0; else if (progress === 1) easedProgress = 1; else if (progress < 0.5) {
-          easedProgress = Math.pow(2, 12 * progress - 6) / 2;
-        } else {
-          easedProgress = (2 - Math.pow(2, -12 * progress + 6)) / 2;
-        }
+    return this.animateCamera(
+      new THREE.Vector3(...animConfig.endPosition),
+      new THREE.Vector3(...animConfig.endTarget),
+      {
+        duration: animConfig.duration,
+        easing: animConfig.easing,
+        startPos: new THREE.Vector3(...animConfig.startPosition),
+        startTarget: new THREE.Vector3(...animConfig.startTarget),
+        crossfade: 0 // first view: cut straight to the end pose
       }
-      this.camera.position.lerpVectors(startPos, endPos, easedProgress);
-      this.controls.target.lerpVectors(startTarget, endTarget, easedProgress);
-      this.controls.update();
-      if (progress < 1) {
-        requestAnimationFrame(animateCamera);
-      } else {
-        this.camera.position.copy(endPos);
-        this.controls.target.copy(endTarget);
-        this.controls.update();
-        console.log('✅ (module) Welcome animation complete');
-      }
-    };
-    requestAnimationFrame(animateCamera);
+    ).then(done => {
+      if (done) console.log('✅ (module) Welcome animation complete');
+      return done;
+    });
+  };
+
+  // Keep a camera pose inside the OrbitControls polar-angle and distance limits
+  loader.clampCameraPose = function clampCameraPose(position, target) {
+    const offset = position.clone().sub(target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    const c = this.controls;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi, c.minPolarAngle, c.maxPolarAngle);
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius, c.minDistance, c.maxDistance);
+    spherical.makeSafe();
+    return target.clone().add(new THREE.Vector3().setFromSpherical(spherical));
+  };
+
+  // Pose that frames a station mesh, or the station's configured viewpoint
+  loader.getStationViewpoint = function getStationViewpoint(meta) {
+    const viewpoint = meta.station && meta.station.viewpoint;
+    if (viewpoint && viewpoint.position && viewpoint.target) {
+      const target = new THREE.Vector3(...viewpoint.target);
+      return { position: this.clampCameraPose(new THREE.Vector3(...viewpoint.position), target), target };
+    }
+    const flyCfg = this.config.interaction?.flyToStation || {};
+    const sphere = new THREE.Box3().setFromObject(meta.object).getBoundingSphere(new THREE.Sphere());
+    const target = sphere.center.clone();
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const distance = (sphere.radius * (flyCfg.framing || 3)) / Math.sin(halfFov);
+    // Keep the current viewing direction so the move reads as a dolly, not a swing
+    const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+    const position = target.clone().add(direction.multiplyScalar(distance));
+    return { position: this.clampCameraPose(position, target), target };
+  };
+
+  loader.flyToStation = async function flyToStation(meta) {
+    if (!meta || !meta.object || !this.controls) return false;
+    const flyCfg = this.config.interaction?.flyToStation || {};
+    if (!this._preFlyView) {
+      this._preFlyView = { position: this.camera.position.clone(), target: this.controls.target.clone() };
+    }
+    const { position, target } = this.getStationViewpoint(meta);
+    console.log(`🎯 (module) Flying to station ${meta.stationKey}`);
+    return this.animateCamera(position, target, { duration: flyCfg.duration ?? 1200, easing: flyCfg.easing || 'easeInOut' });
+  };
+
+  // Return to the view the visitor had before the first fly-to
+  loader.flyBack = async function flyBack() {
+    const view = this._preFlyView;
+    if (!view) return false;
+    this._preFlyView = null;
+    const flyCfg = this.config.interaction?.flyToStation || {};
+    return this.animateCamera(view.position, view.target, { duration: flyCfg.duration ?? 1200, easing: flyCfg.easing || 'easeInOut' });
   };
 
   loader.animationSystemAttached = true;
@@ -0,0 +1,167 @@
+// Config Loader Module
+// Provides: loader.resolveConfig(), loader.mergeConfig(), loader.validateConfig()
+// Resolves runtime configuration from mount() options, the container (inline JSON script,
+// data-config attribute or data-config-url) or the deployed src/config/3d-config.json, upgrades older
+// format versions, deep-merges it over the built-in defaults and validates the result
+// against 3d-config-schema.json (see shared/config-validation.js).
+
+import { migrateConfig, validateConfig as validateWithSchema, formatConfigErrors } from '../shared/config-validation.js';
+
+const DEFAULT_CONFIG_PATH = 'src/config/3d-config.json';
+const SCHEMA_PATH = 'src/config/3d-config-schema.json';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Arrays (vectors, lists) replace rather than merge so [x, y, z] stays intact
+export function deepMerge(base, override) {
+  if (!isPlainObject(override)) return base;
+  const result = isPlainObject(base) ? { ...base } : {};
+  Object.keys(override).forEach(key => {
+    const value = override[key];
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else if (value !== undefined) {
+      result[key] = Array.isArray(value) ? value.slice() : value;
+    }
+  });
+  return result;
+}
+
+async function fetchJSON(primaryUrl, fallbackUrl) {
+  const attempt = async (url) => {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.json();
+  };
+  try {
+    return await attempt(primaryUrl);
+  } catch (err) {
+    if (!fallbackUrl || fallbackUrl === primaryUrl) throw err;
+    console.log('🔄 (module) Config URL failed, trying fallback:', fallbackUrl);
+    return attempt(fallbackUrl);
+  }
+}
+
+export function attachConfigLoader(loader) {
+  if (!loader) return;
+  if (loader.configLoaderAttached) {
+    console.log('♻️ attachConfigLoader: already attached');
+    return;
+  }
+
+  loader.mergeConfig = function mergeConfig(base, override) {
+    return deepMerge(base, override);
+  };
+
+  // Find the configuration source given to mount() or declared on the container (first match wins)
+  loader.readContainerConfigSource = function readContainerConfigSource() {
+    const options = this.options || {};
+    if (isPlainObject(options.config)) {
+      return { type: 'options', load: () => options.config };
+    }
+    if (options.configUrl) {
+      return { type: 'url', load: () => fetchJSON(options.configUrl) };
+    }
+
+    const el = this.container;
+    if (!el) return null;
+
+    const scriptSelector = el.getAttribute('data-config-script');
+    const script = scriptSelector
+      ? document.querySelector(scriptSelector)
+      : el.querySelector('script[type="application/json"][data-config]');
+    if (script) {
+      return { type: 'inline-script', load: () => JSON.parse(script.textContent) };
+    }
+
+    const inline = el.getAttribute('data-config');
+    if (inline && inline.trim()) {
+      return { type: 'attribute', load: () => JSON.parse(inline) };
+    }
+
+    const url = el.getAttribute('data-config-url');
+    if (url === 'none') return { type: 'none', load: () => null };
+    if (url) {
+      return { type: 'url', load: () => fetchJSON(url) };
+    }
+    return null;
+  };
+
+  loader.loadConfigSchema = async function loadConfigSchema() {
+    if (this._configSchema) return this._configSchema;
+    const { primary, fallback } = this.getSourceUrls(SCHEMA_PATH);
+    this._configSchema = await fetchJSON(primary, fallback);
+    return this._configSchema;
+  };
+
+  loader.validateConfig = async function validateConfig(config) {
+    let schema;
+    try {
+      schema = await this.loadConfigSchema();
+    } catch (err) {
+      console.warn('⚠️ (module) Config schema unavailable, skipping validation:', err.message);
+      return { valid: true, errors: [], skipped: true };
+    }
+    return validateWithSchema(config, schema);
+  };
+
+  loader.resolveConfig = async function resolveConfig() {
+    const defaults = this.defaultConfig;
+    let source = this.readContainerConfigSource();
+    if (!source) {
+      const { primary, fallback } = this.getSourceUrls(DEFAULT_CONFIG_PATH);
+      source = { type: 'default-url', load: () => fetchJSON(primary, fallback) };
+    }
+
+    let external;
+    try {
+      external = await source.load();
+    } catch (err) {
+      console.warn(`⚠️ (module) Could not read config from ${source.type}, using built-in defaults:`, err.message);
+      this.configSource = 'defaults';
+      return this.config;
+    }
+    if (!external) {
+      this.configSource = 'defaults';
+      console.log('⚙️ (module) No external config, using built-in defaults');
+      return this.config;
+    }
+    if (!isPlainObject(external)) {
+      console.warn(`⚠️ (module) Config from ${source.type} is not an object, using built-in defaults`);
+      this.configSource = 'defaults';
+      return this.config;
+    }
+
+    // Upgrade older exports first, then validate the merged result so partial configs pass
+    let schema = null;
+    try {
+      schema = await this.loadConfigSchema();
+    } catch (err) {
+      console.warn('⚠️ (module) Config schema unavailable, skipping validation:', err.message);
+    }
+    const { config: migrated, ...migration } = migrateConfig(external);
+    if (migration.applied.length) {
+      console.log(`⚙️ (module) Config migrated ${migration.from} -> ${migration.to}:`, migration.applied);
+    }
+    const merged = deepMerge(defaults, migrated);
+    const { valid, errors } = validateWithSchema(merged, schema);
+    if (!valid) {
+      console.warn(`⚠️ (module) Config from ${source.type} failed schema validation, falling back to built-in defaults:\n${formatConfigErrors(errors)}`);
+      this.configErrors = errors;
+      this.configSource = 'defaults';
+      return this.config;
+    }
+
+    this.config = merged;
+    this.configSource = source.type;
+    console.log(`⚙️ (module) Configuration resolved from ${source.type}`);
+    return this.config;
+  };
+
+  loader.configLoaderAttached = true;
+  console.log('🧩 attachConfigLoader(loader) attached');
+}
+
+window.attachConfigLoader = attachConfigLoader;
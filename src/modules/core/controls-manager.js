@@ -1,5 +1,5 @@
 // Controls Manager Module (Phase 1 extraction)
-// Provides: loader.setupControls(), loader.setupBasicControls() override if needed
+// Provides: loader.setupControls()
 
 export function attachControlsManager(loader) {
   if (!loader) return;
@@ -9,15 +9,12 @@ export function attachControlsManager(loader) {
   }
 
   loader.setupControls = function setupControls() {
-    if (!window.OrbitControls) {
-      console.warn('⚠️ (module) OrbitControls not available, using basic controls');
-      this.setupBasicControls && this.setupBasicControls();
-      return;
-    }
+    // The self-hosted Three.js bundle always exposes OrbitControls
+    if (!window.OrbitControls) throw new Error('OrbitControls not available');
     const cameraConfig = this.config.camera;
     const controlsConfig = this.config.controls;
     this.controls = new window.OrbitControls(this.camera, this.renderer.domElement);
-    this.controls.enableDamping = controlsConfig.enableDamping;
+    this.controls.enableDamping = controlsConfig.enableDamping && !this.reducedMotion;
     this.controls.dampingFactor = controlsConfig.dampingFactor;
     this.controls.minPolarAngle = THREE.MathUtils.degToRad(controlsConfig.minPolarAngle);
     this.controls.maxPolarAngle = THREE.MathUtils.degToRad(controlsConfig.maxPolarAngle);
@@ -28,6 +25,14 @@ export function attachControlsManager(loader) {
     this.controls.enablePan = controlsConfig.enablePan;
     this.controls.target.set(...cameraConfig.target);
     this.controls.update();
+    // User input always wins over a running camera animation (welcome / fly-to)
+    this.controls.addEventListener('start', () => {
+      this.cancelCameraAnimation && this.cancelCameraAnimation();
+    });
+    // Every camera change (input, damping, animations calling update()) requests a frame
+    this.controls.addEventListener('change', () => {
+      this.invalidate && this.invalidate();
+    });
     console.log('🎮 (module) Controls setup complete');
   };
 
@@ -17,19 +17,13 @@ export function attachCoreEngine(loader) {
       return;
     }
     console.log('[CoreEngine] Setting up scene');
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = this.getViewportSize();
     this.scene = new THREE.Scene();
     this.scene.background = null;
     // Use camera setup helper (can be called independently by other modules)
     this.setupCamera(width, height);
-    const perf = this.config.performance;
-    this.renderer = new THREE.WebGLRenderer({ antialias: perf.enableAntialiasing, alpha: true, premultipliedAlpha: false });
-    this.renderer.setSize(width, height);
-    this.renderer.setPixelRatio(perf.pixelRatio);
-    this.renderer.setClearColor(0x000000, 0);
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = window.THREE.PCFSoftShadowMap;
+    // Loader-owned so a renderer lost with its WebGL context can be rebuilt the same way
+    this.renderer = this.createRenderer(width, height);
     if (this.container && !this.renderer.domElement.parentNode) {
       this.container.appendChild(this.renderer.domElement);
     }
@@ -0,0 +1,185 @@
+// Deep Link Module
+// Provides: loader.readDeepLink(), loader.applyDeepLink(), loader.updateDeepLink(),
+//           loader.clearDeepLink(), loader.getShareUrl(), loader.disposeDeepLink()
+// Shareable URLs (hash or query string):
+//   #station=station-5-zolli     fly to the station and open its modal (mesh name works too)
+//   ?cam=x,y,z&t=x,y,z           restore a camera position and orbit target
+// Opening a station writes #station=<modalId> with replaceState, so the back button still leaves
+// the page; config.interaction.deepLinking.history "push" adds an entry per station instead.
+// With several maps on a page only the first one to attach reads and writes the URL.
+
+const STATION_PARAM = 'station';
+const CAMERA_PARAM = 'cam';
+const TARGET_PARAM = 't';
+
+let urlOwner = null;
+
+function parseVector(value) {
+  if (!value) return null;
+  const v = value.split(',').map(n => parseFloat(n));
+  return v.length === 3 && v.every(n => Number.isFinite(n)) ? v : null;
+}
+
+function formatVector(v) {
+  return [v.x, v.y, v.z].map(n => Number(n.toFixed(2))).join(',');
+}
+
+// Plain anchors (#map) are not ours; only key=value hashes are read and preserved
+function hashParams(hash) {
+  const raw = (hash || '').replace(/^#/, '');
+  return new URLSearchParams(raw.includes('=') ? raw : '');
+}
+
+// Returns { station, camera: { position, target } } or null when the URL holds no map state
+export function parseDeepLink(search, hash) {
+  const query = new URLSearchParams(search || '');
+  const fromHash = hashParams(hash);
+  const get = (key) => fromHash.get(key) || query.get(key);
+
+  const station = (get(STATION_PARAM) || '').trim() || null;
+  const position = parseVector(get(CAMERA_PARAM));
+  const target = parseVector(get(TARGET_PARAM));
+  const camera = position && target ? { position, target } : null;
+  return station || camera ? { station, camera } : null;
+}
+
+export function attachDeepLink(loader) {
+  if (!loader) return;
+  if (loader.deepLinkAttached) {
+    console.log('♻️ attachDeepLink: already attached');
+    return;
+  }
+  if (urlOwner && urlOwner !== loader) {
+    console.log('🔗 (module) Another map already owns the URL; deep links disabled for this one');
+    return;
+  }
+  urlOwner = loader;
+
+  loader.readDeepLink = function readDeepLink() {
+    return parseDeepLink(window.location.search, window.location.hash);
+  };
+
+  // Boot: restore the camera and/or open the linked station instead of the welcome animation.
+  // Resolves true when the link was applied.
+  loader.applyDeepLink = async function applyDeepLink(link = this.readDeepLink(), { boot = true } = {}) {
+    if (!link || !this.camera || !this.controls) return false;
+
+    if (link.camera) {
+      const target = new THREE.Vector3(...link.camera.target);
+      let position = new THREE.Vector3(...link.camera.position);
+      if (typeof this.clampCameraPose === 'function') position = this.clampCameraPose(position, target);
+      this.camera.position.copy(position);
+      this.controls.target.copy(target);
+      this.controls.update();
+      console.log('🔗 (module) Camera view restored from URL');
+    } else if (boot && this.config.animations?.welcomeAnimation?.enabled) {
+      // Start from where the welcome animation would have ended
+      const anim = this.config.animations.welcomeAnimation;
+      this.camera.position.set(...anim.endPosition);
+      this.controls.target.set(...anim.endTarget);
+      this.controls.update();
+    }
+
+    if (!link.station) return true;
+    const meta = this.getStationObject && this.getStationObject(link.station);
+    if (!meta) {
+      console.warn(`⚠️ (module) Deep link station '${link.station}' not found`);
+      this.clearDeepLink({ modalId: link.station });
+      return !!link.camera;
+    }
+    if (!this.animationSystemAttached) {
+      try {
+        await this.loadModule('core/animation-system');
+      } catch (err) {
+        console.warn('⚠️ (module) Animation system unavailable, opening station without fly-to:', err.message);
+      }
+    }
+    console.log(`🔗 (module) Opening station '${meta.modalId}' from URL`);
+    await this.openStation(meta, { fly: true });
+    return true;
+  };
+
+  loader.updateDeepLink = function updateDeepLink(meta) {
+    const cfg = this.config.interaction?.deepLinking || {};
+    if (cfg.enabled === false || !meta) return;
+    const current = this.readDeepLink();
+    if (current && current.station === meta.modalId) return; // already showing it (boot or back/forward)
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(CAMERA_PARAM);
+    url.searchParams.delete(TARGET_PARAM);
+    url.searchParams.delete(STATION_PARAM);
+    const params = hashParams(url.hash);
+    params.set(STATION_PARAM, meta.modalId);
+    url.hash = params.toString();
+
+    const state = { map3dStation: meta.modalId };
+    if (cfg.history === 'push') history.pushState(state, '', url);
+    else history.replaceState(state, '', url);
+  };
+
+  // Drop the station from the URL once its modal closes (only if it is still the linked one)
+  loader.clearDeepLink = function clearDeepLink(meta) {
+    const current = this.readDeepLink();
+    if (!current || !meta || current.station !== meta.modalId) return;
+    const url = new URL(window.location.href);
+    url.searchParams.delete(STATION_PARAM);
+    const params = hashParams(url.hash);
+    params.delete(STATION_PARAM);
+    url.hash = params.toString();
+    history.replaceState(null, '', url);
+  };
+
+  // Link to the current view (and optionally a station) for share buttons
+  loader.getShareUrl = function getShareUrl({ station = null } = {}) {
+    const url = new URL(window.location.href);
+    url.hash = '';
+    if (this.camera && this.controls) {
+      url.searchParams.set(CAMERA_PARAM, formatVector(this.camera.position));
+      url.searchParams.set(TARGET_PARAM, formatVector(this.controls.target));
+    }
+    if (station) url.hash = `${STATION_PARAM}=${encodeURIComponent(station)}`;
+    return url.toString();
+  };
+
+  // Close whatever station modal the map opened (Lumos modal API, then [data-modal-close])
+  loader.closeOpenStation = function closeOpenStation() {
+    const modalId = this._openStationId;
+    if (!modalId) return;
+    this._openStationId = null;
+    if (this._modalCloseObserver) {
+      this._modalCloseObserver.disconnect();
+      this._modalCloseObserver = null;
+    }
+    const lumosModal = window.lumos?.modal?.list?.[modalId];
+    if (lumosModal && typeof lumosModal.close === 'function') {
+      lumosModal.close();
+      return;
+    }
+    const closeEl = this._findModalElement(modalId)?.querySelector('[data-modal-close]');
+    if (closeEl) closeEl.click();
+  };
+
+  loader._onDeepLinkPopState = function onDeepLinkPopState() {
+    const link = this.readDeepLink();
+    const station = link && link.station;
+    if (station && station === this._openStationId) return;
+    this.closeOpenStation();
+    if (station) {
+      this.applyDeepLink({ station, camera: null }, { boot: false });
+    } else if (typeof this.flyBack === 'function') {
+      this.flyBack();
+    }
+  }.bind(loader);
+
+  loader.disposeDeepLink = function disposeDeepLink() {
+    window.removeEventListener('popstate', this._onDeepLinkPopState);
+    if (urlOwner === this) urlOwner = null;
+  };
+
+  window.addEventListener('popstate', loader._onDeepLinkPopState);
+  loader.deepLinkAttached = true;
+  console.log('🧩 attachDeepLink(loader) attached');
+}
+
+window.attachDeepLink = attachDeepLink;
@@ -0,0 +1,262 @@
+// Keyboard Access Module
+// Provides: loader.setupKeyboardAccess(), loader.refreshStationList(), loader.announce(),
+//           loader.disposeKeyboardAccess()
+// Implements config.accessibility.keyboardControls / ariaLabels:
+//   - canvas is focusable; arrows orbit, Shift+arrows / WASD pan, +/- zoom, Enter opens a hovered station
+//   - an offscreen list of station buttons (Tab / arrow keys cycle, Enter opens the modal);
+//     focusing a button gives the station the same glow as pointer hover (applyHover)
+//   - a polite live region announces readiness and opened stations
+// Class hooks for Webflow styling: .map3d-stations, .map3d-stations__item, .map3d-live.
+// Default styles are wrapped in :where() so site classes override them.
+
+const ORBIT_STEP = Math.PI / 36; // 5°
+const PAN_STEP = 0.05;           // fraction of the current camera distance
+const ZOOM_STEP = 0.9;
+
+const MESSAGES = {
+  canvas: 'Interactive 3D map. Arrow keys rotate, Shift plus arrow keys or W A S D move the view, plus and minus zoom. Press Tab to move between stations.',
+  list: 'Map stations',
+  ready: (count) => `3D map loaded with ${count} stations.`,
+  opening: (title) => `Opening ${title}.`
+};
+
+const DEFAULT_STYLES = `
+  :where(.map3d-stations), :where(.map3d-live) {
+    position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0;
+    overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;
+  }
+  :where(.map3d-stations ul) { list-style: none; margin: 0; padding: 0; }
+  :where(.map3d-stations:focus-within) {
+    width: auto; height: auto; margin: 0; clip: auto; overflow: visible;
+    left: 1rem; bottom: 1rem; z-index: 4;
+  }
+  :where(.map3d-stations:focus-within li:not(:focus-within)) {
+    position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);
+  }
+  :where(.map3d-stations__item) {
+    padding: 0.5rem 1rem; border-radius: 0.5rem; border: 0; cursor: pointer;
+    background: #fff; color: #1d2b33; font: inherit; box-shadow: 0 2px 12px rgba(0,0,0,0.25);
+  }
+  :where(.map3d-stations__item:focus-visible) { outline: 3px solid #ffd54f; outline-offset: 2px; }
+  :where(.map3d-stations__meta) { display: block; font-size: 0.8em; opacity: 0.7; }
+`;
+
+function injectDefaultStyles() {
+  if (document.getElementById('map3d-a11y-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'map3d-a11y-styles';
+  style.textContent = DEFAULT_STYLES;
+  document.head.insertBefore(style, document.head.firstChild);
+}
+
+function stationLabel(meta) {
+  const s = meta.station || {};
+  return s.title || meta.stationKey;
+}
+
+export function attachKeyboardAccess(loader) {
+  if (!loader) return;
+  if (loader.keyboardAccessAttached) {
+    console.log('♻️ attachKeyboardAccess: already attached');
+    return;
+  }
+
+  loader.setupKeyboardAccess = function setupKeyboardAccess() {
+    const a11y = this.config.accessibility || {};
+    if (!this.renderer || !this.container || this._keyboardAccess) return;
+    injectDefaultStyles();
+
+    const canvas = this.renderer.domElement;
+    const state = { canvas, handlers: {} };
+    this._keyboardAccess = state;
+
+    if (a11y.ariaLabels !== false) {
+      canvas.setAttribute('role', 'application');
+      canvas.setAttribute('aria-roledescription', '3D map');
+      canvas.setAttribute('aria-label', this.container.dataset.mapLabel || MESSAGES.canvas);
+
+      const live = document.createElement('div');
+      live.className = 'map3d-live';
+      live.setAttribute('aria-live', 'polite');
+      live.setAttribute('aria-atomic', 'true');
+      this.container.appendChild(live);
+      state.live = live;
+
+      state.handlers.ready = () => this.announce(MESSAGES.ready(this._stationListEntries().length));
+      this.on('ready', state.handlers.ready);
+    }
+
+    if (a11y.keyboardControls !== false) {
+      canvas.tabIndex = 0;
+      state.handlers.keydown = (event) => this.onMapKeyDown(event);
+      canvas.addEventListener('keydown', state.handlers.keydown);
+    }
+
+    this.refreshStationList();
+    console.log('⌨️ (module) Keyboard access ready');
+  };
+
+  // One entry per station (a station can span several meshes), in registry order
+  loader._stationListEntries = function stationListEntries() {
+    const seen = new Set();
+    const entries = [];
+    const order = (this.stations || []).map(s => s.modalId);
+    (this.interactiveObjects || [])
+      .slice()
+      .sort((a, b) => order.indexOf(a.modalId) - order.indexOf(b.modalId))
+      .forEach(meta => {
+        if (seen.has(meta.modalId)) return;
+        seen.add(meta.modalId);
+        entries.push(meta);
+      });
+    return entries;
+  };
+
+  // (Re)build the focusable station list after setupInteractiveObjects()
+  loader.refreshStationList = function refreshStationList() {
+    const state = this._keyboardAccess;
+    if (!state || this.config.accessibility?.keyboardControls === false) return;
+    if (state.list) state.list.remove();
+
+    const entries = this._stationListEntries();
+    if (!entries.length) return;
+
+    const nav = document.createElement('nav');
+    nav.className = 'map3d-stations';
+    nav.setAttribute('aria-label', this.container.dataset.stationListLabel || MESSAGES.list);
+    const ul = document.createElement('ul');
+    entries.forEach((meta, i) => {
+      const li = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'map3d-stations__item';
+      button.dataset.modalId = meta.modalId;
+      button.textContent = stationLabel(meta);
+      const s = meta.station || {};
+      const details = [s.category, s.address].filter(Boolean).join(', ');
+      if (details) {
+        const span = document.createElement('span');
+        span.className = 'map3d-stations__meta';
+        span.textContent = details;
+        button.appendChild(span);
+      }
+      button.setAttribute('aria-posinset', String(i + 1));
+      button.setAttribute('aria-setsize', String(entries.length));
+      button.addEventListener('focus', () => {
+        this.clearHover();
+        this.applyHover(meta.object);
+      });
+      button.addEventListener('blur', () => {
+        if (this.hoveredObject === meta.object) this.clearHover();
+      });
+      button.addEventListener('click', () => {
+        if (this.activateStation(meta)) this.announce(MESSAGES.opening(stationLabel(meta)));
+      });
+      li.appendChild(button);
+      ul.appendChild(li);
+    });
+
+    // Arrow keys / Home / End move between stations inside the list
+    ul.addEventListener('keydown', (event) => {
+      const buttons = Array.from(ul.querySelectorAll('button'));
+      const index = buttons.indexOf(document.activeElement);
+      if (index === -1) return;
+      const next = {
+        ArrowDown: index + 1, ArrowRight: index + 1,
+        ArrowUp: index - 1, ArrowLeft: index - 1,
+        Home: 0, End: buttons.length - 1
+      }[event.key];
+      if (next === undefined) return;
+      event.preventDefault();
+      buttons[(next + buttons.length) % buttons.length].focus();
+    });
+
+    nav.appendChild(ul);
+    // Right after the canvas so Tab moves from the map into the stations
+    state.canvas.insertAdjacentElement('afterend', nav);
+    state.list = nav;
+  };
+
+  loader.announce = function announce(message) {
+    const live = this._keyboardAccess && this._keyboardAccess.live;
+    if (!live) return;
+    // Clear first so repeating the same message is still announced
+    live.textContent = '';
+    setTimeout(() => { live.textContent = message; }, 50);
+  };
+
+  loader.onMapKeyDown = function onMapKeyDown(event) {
+    const c = this.controls;
+    if (!c || !c.target || !this.camera || event.altKey || event.ctrlKey || event.metaKey) return;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const panKeys = { w: [0, 1], s: [0, -1], a: [-1, 0], d: [1, 0] };
+    const arrows = { ArrowUp: [0, 1], ArrowDown: [0, -1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+    if (key === 'Enter' && this.hoveredObject) {
+      const meta = this._interactiveMetaMap && this._interactiveMetaMap.get(this.hoveredObject.uuid);
+      if (meta) this.activateStation(meta);
+    } else if (arrows[key] && !event.shiftKey) {
+      if (c.enableRotate === false) return;
+      const [dx, dy] = arrows[key];
+      this.orbitCamera(-dx * ORBIT_STEP, -dy * ORBIT_STEP);
+    } else if (panKeys[key] || arrows[key]) {
+      if (c.enablePan === false) return;
+      const [dx, dz] = panKeys[key] || arrows[key];
+      this.panCamera(dx, dz);
+    } else if (key === '+' || key === '=' || key === '-') {
+      if (c.enableZoom === false) return;
+      this.orbitCamera(0, 0, key === '-' ? 1 / ZOOM_STEP : ZOOM_STEP);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  // Rotate around the orbit target within the OrbitControls limits; scale changes distance
+  loader.orbitCamera = function orbitCamera(dTheta, dPhi, scale = 1) {
+    const c = this.controls;
+    this.cancelCameraAnimation && this.cancelCameraAnimation();
+    const offset = this.camera.position.clone().sub(c.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += dTheta;
+    if (Number.isFinite(c.minAzimuthAngle) && Number.isFinite(c.maxAzimuthAngle)) {
+      spherical.theta = THREE.MathUtils.clamp(spherical.theta, c.minAzimuthAngle, c.maxAzimuthAngle);
+    }
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + dPhi, c.minPolarAngle ?? 0, c.maxPolarAngle ?? Math.PI);
+    spherical.radius = THREE.MathUtils.clamp(spherical.radius * scale, c.minDistance ?? 0, c.maxDistance ?? Infinity);
+    spherical.makeSafe();
+    this.camera.position.copy(c.target).add(offset.setFromSpherical(spherical));
+    c.update();
+  };
+
+  // Move camera and target together across the ground plane, relative to the view direction
+  loader.panCamera = function panCamera(dx, dz) {
+    const c = this.controls;
+    this.cancelCameraAnimation && this.cancelCameraAnimation();
+    const forward = c.target.clone().sub(this.camera.position).setY(0);
+    if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+    forward.normalize();
+    const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+    const step = this.camera.position.distanceTo(c.target) * PAN_STEP;
+    const delta = right.multiplyScalar(dx * step).add(forward.multiplyScalar(dz * step));
+    this.camera.position.add(delta);
+    c.target.add(delta);
+    c.update();
+  };
+
+  loader.disposeKeyboardAccess = function disposeKeyboardAccess() {
+    const state = this._keyboardAccess;
+    if (!state) return;
+    if (state.handlers.keydown) state.canvas.removeEventListener('keydown', state.handlers.keydown);
+    if (state.handlers.ready) this.off('ready', state.handlers.ready);
+    ['role', 'aria-roledescription', 'aria-label', 'tabindex'].forEach(attr => state.canvas.removeAttribute(attr));
+    state.list && state.list.remove();
+    state.live && state.live.remove();
+    this._keyboardAccess = null;
+  };
+
+  loader.keyboardAccessAttached = true;
+  console.log('🧩 attachKeyboardAccess(loader) attached');
+}
+
+window.attachKeyboardAccess = attachKeyboardAccess;
@@ -0,0 +1,195 @@
+// Loading Overlay Module
+// Provides: loader.showLoadingOverlay(), loader.hideLoadingOverlay(), loader.updateLoadingOverlay()
+// Driven by the loader's map3d:* events (progress / ready / error); honors config.ui.showLoadingProgress.
+//
+// Custom markup: place an element with [data-map-loading] inside (or referenced by
+// data-loading-overlay="#selector" on) the container. Optional children are filled in:
+//   [data-map-loading-bar]     width set to the percentage (or a <progress> value)
+//   [data-map-loading-percent] "42%"
+//   [data-map-loading-bytes]   "12.3 MB / 29.1 MB"
+//   [data-map-loading-status]  status text (loading / retrying / error)
+//   [data-map-loading-retry]   button shown in the error state
+// The root receives data-state="loading|retrying|error|done" for styling.
+// Without custom markup a default overlay using .map3d-loading* classes is injected;
+// its defaults are wrapped in :where() so any Webflow class selector overrides them.
+
+const MESSAGES = {
+  loading: 'Loading 3D map…',
+  retrying: 'Retrying from backup server…',
+  error: 'The 3D map could not be loaded.',
+  retry: 'Try again'
+};
+
+const DEFAULT_STYLES = `
+  :where(.map3d-loading) {
+    position: absolute; inset: 0; z-index: 5;
+    display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 0.75rem;
+    background: #3c5e71; color: #fff;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    transition: opacity 0.4s ease;
+  }
+  :where(.map3d-loading[data-state="done"]) { opacity: 0; pointer-events: none; }
+  :where(.map3d-loading__track) { width: min(280px, 70vw); height: 4px; border-radius: 2px; background: rgba(255,255,255,0.2); overflow: hidden; }
+  :where(.map3d-loading__bar) { height: 100%; width: 0; background: #fff; transition: width 0.2s linear; }
+  :where(.map3d-loading[data-indeterminate] .map3d-loading__bar) { width: 30%; animation: map3d-loading-slide 1.2s ease-in-out infinite; }
+  :where(.map3d-loading[data-state="error"] .map3d-loading__track) { display: none; }
+  :where(.map3d-loading__meta) { font-size: 0.8rem; opacity: 0.7; font-variant-numeric: tabular-nums; }
+  :where(.map3d-loading__retry) {
+    padding: 0.5rem 1.5rem; border-radius: 0.5rem; cursor: pointer; font: inherit; color: inherit;
+    background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3);
+  }
+  @keyframes map3d-loading-slide { from { transform: translateX(-100%); } to { transform: translateX(340%); } }
+  @media (prefers-reduced-motion: reduce) {
+    :where(.map3d-loading), :where(.map3d-loading__bar) { transition: none; animation: none; }
+  }
+`;
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 MB';
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function injectDefaultStyles() {
+  if (document.getElementById('map3d-loading-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'map3d-loading-styles';
+  style.textContent = DEFAULT_STYLES;
+  // Prepend so site stylesheets win on equal specificity
+  document.head.insertBefore(style, document.head.firstChild);
+}
+
+function buildDefaultMarkup(messages) {
+  const root = document.createElement('div');
+  root.className = 'map3d-loading';
+  root.setAttribute('data-map-loading', '');
+  root.innerHTML = `
+    <div class="map3d-loading__status" data-map-loading-status aria-live="polite"></div>
+    <div class="map3d-loading__track" data-map-loading-track>
+      <div class="map3d-loading__bar" data-map-loading-bar></div>
+    </div>
+    <div class="map3d-loading__meta">
+      <span data-map-loading-percent></span> <span data-map-loading-bytes></span>
+    </div>
+    <button type="button" class="map3d-loading__retry" data-map-loading-retry hidden>${messages.retry}</button>
+  `;
+  return root;
+}
+
+export function attachLoadingOverlay(loader) {
+  if (!loader) return;
+  if (loader.loadingOverlayAttached) {
+    console.log('♻️ attachLoadingOverlay: already attached');
+    return;
+  }
+
+  loader.showLoadingOverlay = function showLoadingOverlay() {
+    if (this.config.ui?.showLoadingProgress === false || !this.container) return;
+    if (this._loadingOverlay) return;
+    // The module load can finish after the model, the static map or a fatal error
+    if (this.loadingState !== 'loading' || this.degraded) return;
+    // initProgressive() does not wait for this module: replace the placeholder cube if it is up
+    this.removeLoadingCube && this.removeLoadingCube();
+
+    const c = this.container;
+    const messages = {
+      loading: c.dataset.loadingLabel || MESSAGES.loading,
+      retrying: c.dataset.loadingRetryLabel || MESSAGES.retrying,
+      error: c.dataset.loadingErrorLabel || MESSAGES.error,
+      retry: c.dataset.loadingRetryButton || MESSAGES.retry
+    };
+
+    const customSelector = c.dataset.loadingOverlay;
+    let root = customSelector ? document.querySelector(customSelector) : c.querySelector('[data-map-loading]');
+    const custom = !!root;
+    if (!root) {
+      injectDefaultStyles();
+      root = buildDefaultMarkup(messages);
+      c.appendChild(root);
+    }
+    root.hidden = false;
+
+    const q = (sel) => root.querySelector(sel);
+    const progressEl = q('[data-map-loading-track]') || q('[data-map-loading-bar]') || root;
+    progressEl.setAttribute('role', 'progressbar');
+    progressEl.setAttribute('aria-valuemin', '0');
+    progressEl.setAttribute('aria-valuemax', '100');
+    progressEl.setAttribute('aria-label', messages.loading);
+    c.setAttribute('aria-busy', 'true');
+
+    const retryBtn = q('[data-map-loading-retry]');
+    if (retryBtn) retryBtn.addEventListener('click', () => location.reload());
+
+    this._loadingOverlay = {
+      root, custom, messages, progressEl, retryBtn,
+      bar: q('[data-map-loading-bar]'),
+      percent: q('[data-map-loading-percent]'),
+      bytes: q('[data-map-loading-bytes]'),
+      status: q('[data-map-loading-status]')
+    };
+    this.updateLoadingOverlay({ state: 'loading' });
+
+    // Subscribe to the loader's public events
+    this._loadingOverlayHandlers = {
+      progress: (e) => this.updateLoadingOverlay({
+        state: e.detail.fallback ? 'retrying' : 'loading',
+        loaded: e.detail.loaded,
+        total: e.detail.total,
+        percent: e.detail.percent
+      }),
+      ready: () => this.hideLoadingOverlay(),
+      error: (e) => { if (e.detail.fatal) this.updateLoadingOverlay({ state: 'error' }); }
+    };
+    Object.entries(this._loadingOverlayHandlers).forEach(([type, fn]) => this.on(type, fn));
+    console.log(`⏳ (module) Loading overlay shown (${custom ? 'custom' : 'default'} markup)`);
+  };
+
+  loader.updateLoadingOverlay = function updateLoadingOverlay({ state, loaded = 0, total = 0, percent = null }) {
+    const o = this._loadingOverlay;
+    if (!o) return;
+    o.root.setAttribute('data-state', state);
+    if (o.status) o.status.textContent = o.messages[state] || '';
+
+    if (state === 'error') {
+      o.status && o.status.setAttribute('role', 'alert');
+      if (o.retryBtn) o.retryBtn.hidden = false;
+      this.container && this.container.removeAttribute('aria-busy');
+      return;
+    }
+
+    const determinate = typeof percent === 'number';
+    o.root.toggleAttribute('data-indeterminate', !determinate);
+    if (determinate) {
+      o.progressEl.setAttribute('aria-valuenow', String(percent));
+      if (o.bar) {
+        if (o.bar.tagName === 'PROGRESS') o.bar.value = percent / 100;
+        else o.bar.style.width = `${percent}%`;
+      }
+      if (o.percent) o.percent.textContent = `${percent}%`;
+    } else {
+      o.progressEl.removeAttribute('aria-valuenow');
+      if (o.percent) o.percent.textContent = '';
+    }
+    o.progressEl.setAttribute('aria-valuetext', `${o.messages[state]} ${determinate ? percent + '%' : formatBytes(loaded)}`);
+    if (o.bytes) o.bytes.textContent = total ? `${formatBytes(loaded)} / ${formatBytes(total)}` : (loaded ? formatBytes(loaded) : '');
+  };
+
+  loader.hideLoadingOverlay = function hideLoadingOverlay() {
+    const o = this._loadingOverlay;
+    if (!o) return;
+    o.root.setAttribute('data-state', 'done');
+    this.container && this.container.removeAttribute('aria-busy');
+    Object.entries(this._loadingOverlayHandlers || {}).forEach(([type, fn]) => this.off(type, fn));
+    this._loadingOverlayHandlers = null;
+    // Leave designer markup in place (hidden); remove our own after the fade
+    setTimeout(() => {
+      if (o.custom) o.root.hidden = true;
+      else if (o.root.parentNode) o.root.parentNode.removeChild(o.root);
+    }, 450);
+    this._loadingOverlay = null;
+  };
+
+  loader.loadingOverlayAttached = true;
+  console.log('🧩 attachLoadingOverlay(loader) attached');
+}
+
+window.attachLoadingOverlay = attachLoadingOverlay;
@@ -0,0 +1,181 @@
+// Mesh Optimizer Module
+// Provides: loader.optimizeModel(), loader.getMeshOptimizationStats()
+// Optional post-load pass that cuts draw calls (config.performance.meshOptimization, off by default):
+//   - instancing: meshes sharing one geometry and material (glTF reuses them for repeated props
+//     such as trees and lamps) become a single InstancedMesh once there are minInstances of them.
+//     Buildings with _LODn variants are left out so their levels keep switching; with
+//     lod.cullDistance set, props are only instanced within one building so it is still culled whole.
+//   - merging: the remaining static meshes of one building / tile that share a material and LOD
+//     level are merged into one mesh, so per-building LOD and culling keep working
+// Station meshes and flags are left alone: hover, modals and billboarding address them one by one.
+// Runs after setupInteractiveObjects() and before setupModelLod(). Merging needs
+// window.BufferGeometryUtils from the vendor bundle and is skipped without it.
+
+const DEFAULTS = { instancing: true, merge: true, minInstances: 3 };
+
+// Skinned, morphed and multi-material meshes cannot be merged or instanced as they are;
+// meshes with children stay so removing them does not take the subtree along
+function isStaticMesh(mesh) {
+  return mesh.isMesh && !mesh.isInstancedMesh && !mesh.isSkinnedMesh && !Array.isArray(mesh.material) &&
+    !mesh.children.length &&
+    !!mesh.geometry && !Object.keys(mesh.geometry.morphAttributes).length;
+}
+
+// mergeGeometries() needs the same attributes and indexing on every input
+function attributeSignature(geometry) {
+  return `${Object.keys(geometry.attributes).sort().join(',')}|${geometry.index ? 'indexed' : 'plain'}`;
+}
+
+function lodSuffix(level) {
+  return level ? `_LOD${level}` : '';
+}
+
+function countMeshes(model) {
+  let count = 0;
+  model.traverse((child) => { if (child.isMesh) count++; });
+  return count;
+}
+
+export function attachMeshOptimizer(loader) {
+  if (!loader) return;
+  if (loader.meshOptimizerAttached) {
+    console.log('♻️ attachMeshOptimizer: already attached');
+    return;
+  }
+
+  loader.optimizeModel = function optimizeModel(model = this.model) {
+    const cfg = { ...DEFAULTS, ...(this.config.performance?.meshOptimization || {}) };
+    if (!cfg.enabled || !model) return null;
+
+    model.updateMatrixWorld(true);
+    const pinned = new Set();
+    (this.interactiveObjects || []).forEach(meta => meta.object.traverse(o => pinned.add(o)));
+    (this.flags || []).forEach(flag => flag.traverse(o => pinned.add(o)));
+
+    // Without the LOD module the whole model is one group at level 0
+    const groups = this.getModelGroups ? this.getModelGroups(model) : [{ name: model.name || 'model', meshes: [] }];
+    if (!this.getModelGroups) {
+      model.traverse((child) => { if (child.isMesh) groups[0].meshes.push({ mesh: child, level: 0, root: model }); });
+    }
+    groups.forEach((group) => {
+      group.lodVariants = group.meshes.some(entry => entry.level > 0);
+      group.meshes = group.meshes.filter(entry => isStaticMesh(entry.mesh) && !pinned.has(entry.mesh));
+    });
+
+    const stats = {
+      meshes: { before: countMeshes(model), after: 0 },
+      instanced: { sources: 0, meshes: 0 },
+      merged: { sources: 0, meshes: 0 }
+    };
+    const removed = [];
+    if (cfg.instancing !== false) this._instanceRepeatedMeshes(model, groups, cfg, stats, removed);
+    if (cfg.merge !== false) {
+      if (window.BufferGeometryUtils) this._mergeStaticMeshes(groups, stats, removed);
+      else console.warn('⚠️ (module) BufferGeometryUtils missing, mesh merging skipped');
+    }
+
+    // Geometry still used elsewhere (instances, meshes left in place) stays
+    const live = new Set();
+    model.traverse((child) => { if (child.isMesh) live.add(child.geometry); });
+    removed.forEach((mesh) => {
+      if (!live.has(mesh.geometry)) {
+        live.add(mesh.geometry);
+        mesh.geometry.dispose();
+      }
+    });
+
+    stats.meshes.after = countMeshes(model);
+    this._meshOptimization = stats;
+    console.log(`🧱 (module) Mesh optimisation: ${stats.meshes.before} -> ${stats.meshes.after} meshes (${stats.instanced.sources} instanced, ${stats.merged.sources} merged)`);
+    return stats;
+  };
+
+  // Repeated props of buildings without LOD variants; each InstancedMesh becomes its own LOD group
+  loader._instanceRepeatedMeshes = function instanceRepeatedMeshes(model, groups, cfg, stats, removed) {
+    const perGroup = (this.config.performance?.lod?.cullDistance || 0) > 0;
+    const repeats = new Map();
+    groups.filter(group => !group.lodVariants).forEach(group => group.meshes.forEach((entry) => {
+      const key = `${perGroup ? `${group.name}|` : ''}${entry.mesh.geometry.uuid}|${entry.mesh.material.uuid}`;
+      if (!repeats.has(key)) repeats.set(key, { prefix: perGroup ? `${group.name}_` : '', entries: [] });
+      repeats.get(key).entries.push(entry);
+    }));
+
+    const container = this.getModelGroupContainer ? this.getModelGroupContainer(model) : model;
+    const toContainer = new THREE.Matrix4().copy(container.matrixWorld).invert();
+    const matrix = new THREE.Matrix4();
+    const instancedEntries = new Set();
+    repeats.forEach(({ prefix, entries }) => {
+      if (entries.length < cfg.minInstances) return;
+      const { mesh: first } = entries[0];
+      const instanced = new THREE.InstancedMesh(first.geometry, first.material, entries.length);
+      instanced.name = `${prefix}${first.name || 'mesh'}_instances`;
+      entries.forEach(({ mesh }, i) => {
+        instanced.setMatrixAt(i, matrix.multiplyMatrices(toContainer, mesh.matrixWorld));
+        mesh.removeFromParent();
+        removed.push(mesh);
+        instancedEntries.add(mesh);
+      });
+      instanced.castShadow = entries.some(e => e.mesh.castShadow);
+      instanced.receiveShadow = entries.some(e => e.mesh.receiveShadow);
+      instanced.instanceMatrix.needsUpdate = true;
+      instanced.computeBoundingBox();
+      instanced.computeBoundingSphere();
+      container.add(instanced);
+      stats.instanced.sources += entries.length;
+      stats.instanced.meshes++;
+    });
+    groups.forEach((group) => {
+      group.meshes = group.meshes.filter(entry => !instancedEntries.has(entry.mesh));
+    });
+  };
+
+  // Per building and LOD level: meshes with the same material become one, baked into the group root's
+  // space (or its parent's when the root is one of the merged meshes)
+  loader._mergeStaticMeshes = function mergeStaticMeshes(groups, stats, removed) {
+    const inverse = new THREE.Matrix4();
+    const matrix = new THREE.Matrix4();
+    groups.forEach((group) => {
+      const batches = new Map();
+      group.meshes.forEach((entry) => {
+        const key = `${entry.level}|${entry.mesh.material.uuid}|${attributeSignature(entry.mesh.geometry)}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(entry);
+      });
+
+      batches.forEach((entries) => {
+        if (entries.length < 2) return;
+        const { root, level, mesh: first } = entries[0];
+        const target = entries.some(e => e.mesh === root) ? root.parent : root;
+        inverse.copy(target.matrixWorld).invert();
+        const geometries = entries.map(({ mesh }) => mesh.geometry.clone().applyMatrix4(matrix.multiplyMatrices(inverse, mesh.matrixWorld)));
+        const geometry = window.BufferGeometryUtils.mergeGeometries(geometries, false);
+        geometries.forEach(g => g.dispose());
+        if (!geometry) {
+          console.warn(`⚠️ (module) Could not merge ${entries.length} meshes of '${group.name}'`);
+          return;
+        }
+        const merged = new THREE.Mesh(geometry, first.material);
+        // The suffix keeps the merged mesh on its LOD level even when only the source meshes carried it
+        merged.name = `${group.name}_merged${lodSuffix(level)}`;
+        merged.castShadow = entries.some(e => e.mesh.castShadow);
+        merged.receiveShadow = entries.some(e => e.mesh.receiveShadow);
+        entries.forEach(({ mesh }) => {
+          mesh.removeFromParent();
+          removed.push(mesh);
+        });
+        target.add(merged);
+        stats.merged.sources += entries.length;
+        stats.merged.meshes++;
+      });
+    });
+  };
+
+  loader.getMeshOptimizationStats = function getMeshOptimizationStats() {
+    return this._meshOptimization || null;
+  };
+
+  loader.meshOptimizerAttached = true;
+  console.log('🧩 attachMeshOptimizer(loader) attached');
+}
+
+window.attachMeshOptimizer = attachMeshOptimizer;
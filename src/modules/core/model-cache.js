@@ -0,0 +1,205 @@
+// Model Cache Module
+// Provides: loader.fetchModelData(), loader.clearModelCache(), loader.getModelCacheStats()
+// Keeps downloaded GLBs in Cache Storage (config.models.cache) so repeat visits and page changes
+// inside the Webflow site skip the download:
+//   - entries are keyed by URL plus models.cache.version (or a level's own version), e.g. the
+//     file's content hash; bumping it makes the next visit download the new file
+//   - unversioned entries are used right away and re-checked in the background at most every
+//     revalidateAfterHours (HEAD request, ETag / Last-Modified); a changed file is downloaded
+//     and replaces the entry for the next visit. Versioned entries never change.
+//   - after each store, other versions of the same file are evicted and at most maxEntries
+//     files are kept (oldest first out)
+// Without Cache Storage (insecure context, some private modes) and in development, models load
+// straight from the network. Pages controlled by the offline service worker (core/offline) skip
+// this cache: the worker already keeps the models.
+
+const CACHE_NAME = 'map3d-models';
+const VERSION_PARAM = 'map3d-v';
+const CACHED_AT_HEADER = 'x-map3d-cached-at';
+const DEFAULTS = { enabled: true, version: '', revalidateAfterHours: 24, maxEntries: 4 };
+
+function cacheKey(url, version) {
+  const key = new URL(url, window.location.href);
+  if (version) key.searchParams.set(VERSION_PARAM, version);
+  return key.href;
+}
+
+function baseUrl(key) {
+  const url = new URL(key);
+  url.searchParams.delete(VERSION_PARAM);
+  return url.href;
+}
+
+// What identifies the file's content on the server (ETag needs Access-Control-Expose-Headers)
+function validatorOf(response) {
+  return response.headers.get('etag') || response.headers.get('last-modified') || '';
+}
+
+// Response body as an ArrayBuffer, reporting progress like GLTFLoader's ProgressEvents
+async function readBody(response, onProgress) {
+  if (!response.body || !onProgress) return response.arrayBuffer();
+  const total = Number(response.headers.get('content-length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({ loaded, total: Math.max(total, loaded), lengthComputable: total > 0 });
+  }
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return data.buffer;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+export function attachModelCache(loader) {
+  if (!loader) return;
+  if (loader.modelCacheAttached) {
+    console.log('♻️ attachModelCache: already attached');
+    return;
+  }
+
+  loader._modelCacheStats = { hits: 0, misses: 0, stored: 0, evicted: 0, revalidated: 0, updated: 0 };
+
+  loader._modelCacheConfig = function modelCacheConfig() {
+    return { ...DEFAULTS, ...(this.config.models?.cache || {}) };
+  };
+
+  loader._openModelCache = async function openModelCache() {
+    if (this._modelCacheUnavailable) return null;
+    if (typeof caches === 'undefined' || this._modelCacheConfig().enabled === false || this.isDevelopment) return null;
+    if (this.config.offline?.enabled && navigator.serviceWorker?.controller) return null;
+    try {
+      return await caches.open(CACHE_NAME);
+    } catch (error) {
+      console.warn('⚠️ (module) Cache Storage unavailable, models load from the network:', error.message);
+      this._modelCacheUnavailable = true;
+      return null;
+    }
+  };
+
+  // Resolves { data (ArrayBuffer), cached } for a model URL; version defaults to models.cache.version
+  loader.fetchModelData = async function fetchModelData(url, { version, onProgress } = {}) {
+    const cfg = this._modelCacheConfig();
+    const versioned = version || cfg.version || '';
+    const key = cacheKey(url, versioned);
+    const cache = await this._openModelCache();
+    const stats = this._modelCacheStats;
+
+    const hit = cache && await cache.match(key).catch(() => null);
+    if (hit) {
+      const data = await hit.arrayBuffer();
+      stats.hits++;
+      onProgress && onProgress({ loaded: data.byteLength, total: data.byteLength, lengthComputable: true });
+      console.log(`💾 (module) Model served from cache: ${url} (${formatMB(data.byteLength)})`);
+      if (!versioned) this._revalidateModel(cache, key, url, hit, data);
+      return { data, cached: true };
+    }
+
+    if (cache) stats.misses++;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Model request failed: ${response.status} ${response.statusText} (${url})`);
+    const data = await readBody(response, onProgress);
+    if (cache) this._storeModel(cache, key, response, data);
+    return { data, cached: false };
+  };
+
+  // Runs in the background; a full quota only costs the cache, never the model load
+  loader._storeModel = async function storeModel(cache, key, response, data) {
+    const headers = new Headers({
+      'content-type': response.headers.get('content-type') || 'model/gltf-binary',
+      'content-length': String(data.byteLength),
+      [CACHED_AT_HEADER]: String(Date.now())
+    });
+    ['etag', 'last-modified'].forEach((name) => {
+      const value = response.headers.get(name);
+      if (value) headers.set(name, value);
+    });
+    // The Response copies the bytes now, before GLTFLoader works on the buffer
+    const entry = new Response(data, { headers });
+    try {
+      await cache.put(key, entry);
+      this._modelCacheStats.stored++;
+      console.log(`💾 (module) Model cached: ${key} (${formatMB(data.byteLength)})`);
+      await this._evictModelCache(cache, key);
+    } catch (error) {
+      console.warn('⚠️ (module) Could not cache model:', error.message);
+    }
+  };
+
+  // Other versions of the just-stored file go, then the oldest files beyond maxEntries
+  loader._evictModelCache = async function evictModelCache(cache, keptKey) {
+    const kept = baseUrl(keptKey);
+    const requests = await cache.keys();
+    const stale = requests.filter(request => request.url !== keptKey && baseUrl(request.url) === kept);
+    const rest = requests.filter(request => !stale.includes(request));
+    const { maxEntries } = this._modelCacheConfig();
+    if (maxEntries > 0 && rest.length > maxEntries) {
+      const dated = await Promise.all(rest.map(async (request) => {
+        const response = await cache.match(request);
+        return { request, cachedAt: Number(response && response.headers.get(CACHED_AT_HEADER)) || 0 };
+      }));
+      dated.sort((a, b) => a.cachedAt - b.cachedAt)
+        .slice(0, rest.length - maxEntries)
+        .forEach(({ request }) => { if (request.url !== keptKey) stale.push(request); });
+    }
+    if (!stale.length) return;
+    await Promise.all(stale.map(request => cache.delete(request)));
+    this._modelCacheStats.evicted += stale.length;
+    console.log(`🧹 (module) Evicted ${stale.length} cached model(s)`);
+  };
+
+  // HEAD against the server; an unchanged file only refreshes the entry's timestamp
+  loader._revalidateModel = async function revalidateModel(cache, key, url, cached, data) {
+    const { revalidateAfterHours } = this._modelCacheConfig();
+    const cachedAt = Number(cached.headers.get(CACHED_AT_HEADER)) || 0;
+    if (Date.now() - cachedAt < revalidateAfterHours * 3600000) return;
+    try {
+      const head = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+      if (!head.ok) return;
+      this._modelCacheStats.revalidated++;
+      const current = validatorOf(head);
+      if (!current) return; // nothing to compare: only a version bump replaces the entry
+      if (current === validatorOf(cached)) {
+        await this._storeModel(cache, key, cached, data);
+        return;
+      }
+      console.log(`🔄 (module) Cached model changed on the server, refreshing for the next visit: ${url}`);
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) return;
+      await this._storeModel(cache, key, response, await response.arrayBuffer());
+      this._modelCacheStats.updated++;
+    } catch (error) {
+      console.warn('⚠️ (module) Model revalidation failed:', error.message);
+    }
+  };
+
+  loader.clearModelCache = async function clearModelCache() {
+    if (typeof caches === 'undefined') return false;
+    const deleted = await caches.delete(CACHE_NAME);
+    console.log(`🧹 (module) Model cache ${deleted ? 'cleared' : 'was empty'}`);
+    return deleted;
+  };
+
+  loader.getModelCacheStats = function getModelCacheStats() {
+    const enabled = this._modelCacheConfig().enabled !== false && !this.isDevelopment &&
+      typeof caches !== 'undefined' && !this._modelCacheUnavailable;
+    return { enabled, ...this._modelCacheStats };
+  };
+
+  loader.modelCacheAttached = true;
+  console.log('🧩 attachModelCache(loader) attached');
+}
+
+window.attachModelCache = attachModelCache;
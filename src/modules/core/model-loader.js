@@ -1,6 +1,29 @@
 // Model Loader Module (Phase 1 extraction)
-// Provides: loader.loadModel(), loader.centerModel()
+// Provides: loader.loadModel(), loader.centerModel(), loader.createGLTFLoader(), loader.disposeModelDecoders(),
+//           loader.getModelLevels(), loader.swapModelLevel()
+// Levels of detail: config.models.levels lists GLBs from a small proxy to the full city. The
+// first one makes the map interactive, the others stream in behind it and crossfade in; levels
+// with a minTier above the device's starting quality tier are never downloaded.
 // Pattern: function-based attachment; safe to load multiple times.
+// Compressed models: Draco geometry, meshopt buffers and KTX2 (Basis) textures decode with the
+// loaders from the Three.js vendor bundle; decoder files come from our own origin (getDecoderPath).
+
+// Quality tier names in QUALITY_TIERS order (quality-controller), for config.models.levels[].minTier
+const TIER_ORDER = ['low', 'medium', 'high'];
+const CROSSFADE_MS = 1200;
+
+function setModelOpacity(model, opacity) {
+  model.traverse((child) => {
+    if (child.isMesh && child.material && child.material.transparent) child.material.opacity = opacity;
+  });
+}
+
+// glTF extensions that need a decoder -> decoder name used in logs and errors
+const DECODER_EXTENSIONS = {
+  KHR_draco_mesh_compression: 'Draco',
+  EXT_meshopt_compression: 'meshopt',
+  KHR_texture_basisu: 'KTX2'
+};
 
 export function attachModelLoader(loader) {
   if (!loader) return;
@@ -9,40 +32,143 @@ export function attachModelLoader(loader) {
     return;
   }
 
-  // Extracted from monolithic simple-3d-loader.js (loadModel & centerModel methods)
-  loader.loadModel = function loadModel() {
-    return new Promise((resolve, reject) => {
-      // Get primary and fallback URLs based on environment
-      const primaryUrl = this.modelUrl;
-      const fallbackUrl = this.getFallbackModelUrl ? this.getFallbackModelUrl() : this.getAlternativeModelUrl();
-      
-      console.log('📁 (module) Loading GLB model:', primaryUrl);
-      if (fallbackUrl) {
-        console.log('🔄 (module) Fallback URL available:', fallbackUrl);
-      }
+  // GLTFLoader with every decoder the bundle provides. Decoder instances own worker pools,
+  // so they are shared across loads and released in disposeModelDecoders().
+  loader.createGLTFLoader = function createGLTFLoader() {
+    const gltfLoader = new window.GLTFLoader();
+    const decoders = this._modelDecoders || (this._modelDecoders = {});
+    if (window.DRACOLoader) {
+      decoders.draco = decoders.draco || new window.DRACOLoader().setDecoderPath(this.getDecoderPath('draco'));
+      gltfLoader.setDRACOLoader(decoders.draco);
+    }
+    // KTX2 picks a GPU texture format, so it needs the renderer
+    if (window.KTX2Loader && this.renderer) {
+      decoders.ktx2 = decoders.ktx2 || new window.KTX2Loader()
+        .setTranscoderPath(this.getDecoderPath('basis'))
+        .detectSupport(this.renderer);
+      gltfLoader.setKTX2Loader(decoders.ktx2);
+    }
+    if (window.MeshoptDecoder) gltfLoader.setMeshoptDecoder(window.MeshoptDecoder);
+    gltfLoader.register(parser => this._checkModelDecoders(parser, gltfLoader));
+    return gltfLoader;
+  };
+
+  // GLTFLoader plugin, created before the parser sets up any extension: logs which decoders the
+  // file uses and fails with one error naming every missing decoder (GLTFLoader stops at the first).
+  // Decoders are read from the GLTFLoader: parser.options never carries the Draco loader.
+  loader._checkModelDecoders = function checkModelDecoders(parser, gltfLoader) {
+    const { json } = parser;
+    const required = new Set(json.extensionsRequired || []);
+    const available = { Draco: !!gltfLoader.dracoLoader, meshopt: !!gltfLoader.meshoptDecoder, KTX2: !!gltfLoader.ktx2Loader };
+    const used = (json.extensionsUsed || []).filter(ext => DECODER_EXTENSIONS[ext]);
+    // GLTFLoader sets up Draco whenever it is used; meshopt and KTX2 only fail without a fallback
+    const missing = used.filter(ext => !available[DECODER_EXTENSIONS[ext]] &&
+      (required.has(ext) || ext === 'KHR_draco_mesh_compression'));
+    if (used.length) {
+      console.log(`🗜️ (module) Model uses ${used.map(ext => DECODER_EXTENSIONS[ext]).join(', ')} compression`);
+    }
+    if (missing.length) {
+      const error = new Error(`Model needs decoders that are not available: ${missing.map(ext => `${DECODER_EXTENSIONS[ext]} (${ext})`).join(', ')}`);
+      error.missingDecoders = missing;
+      throw error;
+    }
+    return { name: 'MAP3D_decoder_check' };
+  };
+
+  loader.disposeModelDecoders = function disposeModelDecoders() {
+    const decoders = this._modelDecoders;
+    if (!decoders) return;
+    if (decoders.draco) decoders.draco.dispose();
+    if (decoders.ktx2) decoders.ktx2.dispose();
+    this._modelDecoders = null;
+  };
 
-      if (!window.GLTFLoader) {
-        console.error('❌ GLTFLoader not available');
-        reject(new Error('GLTFLoader not available'));
+  // Ordered levels of detail (config.models.levels): the first level allowed on the starting
+  // quality tier resolves loadModel() so the scene becomes interactive on it; the rest stream
+  // in the background and crossfade in. Without levels the single modelUrl loads as before.
+  loader.loadModel = async function loadModel() {
+    if (!window.GLTFLoader) {
+      console.error('❌ GLTFLoader not available');
+      throw new Error('GLTFLoader not available');
+    }
+    const levels = this.getModelLevels();
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+      try {
+        const { gltf, url } = await this.fetchModel(level);
+        this.processLoadedModel(gltf, url, level);
+        if (i < levels.length - 1) this._streamModelLevels(levels.slice(i + 1));
         return;
+      } catch (error) {
+        const last = i === levels.length - 1;
+        this.reportError && this.reportError(error, 'model', last);
+        if (last) throw error;
+        console.warn(`⚠️ (module) Model level '${level.name}' failed, loading '${levels[i + 1].name}' instead`);
       }
+    }
+  };
 
-      // Attempt to load model with fallback
-      this.attemptModelLoad(primaryUrl, fallbackUrl, resolve, reject);
+  // [{ name, primary, fallback, final }] in load order. Levels whose minTier is above the
+  // starting tier (config ceiling, GPU heuristic, session memory) are skipped entirely.
+  loader.getModelLevels = function getModelLevels() {
+    const configured = this.options.modelUrl ? [] : (this.config.models?.levels || []);
+    if (!configured.length) {
+      const fallback = this.getFallbackModelUrl ? this.getFallbackModelUrl() : this.getAlternativeModelUrl();
+      return [{ name: 'model', primary: this.modelUrl, fallback, final: true }];
+    }
+    const tier = this._initialQualityIndex ? this._initialQualityIndex() : TIER_ORDER.indexOf(this.qualityTier || 'high');
+    const levels = configured.map((level, i) => ({
+      name: level.name || `level-${i}`,
+      minTier: level.minTier || 'low',
+      version: level.version,
+      ...(/^https?:\/\//.test(level.file)
+        ? { primary: level.file, fallback: null }
+        : this.getSourceUrls(level.file.replace(/^\//, '')))
+    }));
+    let allowed = levels.filter(level => TIER_ORDER.indexOf(level.minTier) <= tier);
+    if (allowed.length < levels.length) {
+      const skipped = levels.filter(level => !allowed.includes(level)).map(level => level.name);
+      console.log(`⏭️ (module) Skipping model levels on the ${TIER_ORDER[tier]} tier:`, skipped);
+    }
+    if (!allowed.length) allowed = levels.slice(0, 1);
+    return allowed.map((level, i) => ({ ...level, final: i === allowed.length - 1 }));
+  };
+
+  // Resolves { gltf, url } from the level's primary URL, else its fallback
+  loader.fetchModel = function fetchModel(level) {
+    console.log(`📁 (module) Loading GLB model '${level.name}':`, level.primary);
+    if (level.fallback) {
+      console.log('🔄 (module) Fallback URL available:', level.fallback);
+    }
+    return new Promise((resolve, reject) => {
+      this.attemptModelLoad(level.primary, level.fallback, resolve, reject, level.version);
     });
   };
 
-  // Helper method to attempt model loading with fallback
-  loader.attemptModelLoad = function attemptModelLoad(primaryUrl, fallbackUrl, resolve, reject) {
-    const gltfLoader = new window.GLTFLoader();
+  // GLTFLoader.load() signature; with the model cache (core/model-cache) the file comes from
+  // Cache Storage when present and is parsed from memory
+  loader._loadGLTF = function loadGLTF(url, version, onLoad, onProgress, onError) {
+    const gltfLoader = this.createGLTFLoader();
+    if (!this.fetchModelData) {
+      gltfLoader.load(url, onLoad, onProgress, onError);
+      return;
+    }
+    this.fetchModelData(url, { version, onProgress })
+      .then(({ data }) => gltfLoader.parse(data, THREE.LoaderUtils.extractUrlBase(url), onLoad, onError))
+      .catch(onError);
+  };
 
-    gltfLoader.load(
+  // Helper method to attempt model loading with fallback
+  loader.attemptModelLoad = function attemptModelLoad(primaryUrl, fallbackUrl, resolve, reject, version) {
+    this._loadGLTF(
       primaryUrl,
+      version,
       (gltf) => {
         console.log('✅ (module) Model loaded successfully from primary URL');
-        this.processLoadedModel(gltf, resolve);
+        resolve({ gltf, url: primaryUrl });
       },
       (progress) => {
+        this.emitProgress && this.emitProgress(progress, primaryUrl, false);
         if (progress && progress.total) {
           const percent = (progress.loaded / progress.total * 100).toFixed(0);
           console.log(`📊 (module) Loading progress: ${percent}%`);
@@ -51,10 +177,10 @@ export function attachModelLoader(loader) {
       (error) => {
         console.warn('⚠️ (module) Primary URL failed:', primaryUrl, error.message);
         
-        // Try fallback URL if available
-        if (fallbackUrl && fallbackUrl !== primaryUrl) {
+        // Try fallback URL if available (the same file would miss the same decoders)
+        if (fallbackUrl && fallbackUrl !== primaryUrl && !error.missingDecoders) {
           console.log('🔄 (module) Attempting fallback URL:', fallbackUrl);
-          this.loadModelFromFallback(fallbackUrl, resolve, reject);
+          this.loadModelFromFallback(fallbackUrl, resolve, reject, version);
         } else {
           console.error('❌ (module) No fallback available, rejecting');
           reject(error);
@@ -64,16 +190,19 @@ export function attachModelLoader(loader) {
   };
 
   // Helper method to load from fallback URL
-  loader.loadModelFromFallback = function loadModelFromFallback(fallbackUrl, resolve, reject) {
-    const gltfLoader = new window.GLTFLoader();
+  loader.loadModelFromFallback = function loadModelFromFallback(fallbackUrl, resolve, reject, version) {
+    // Signal the retry before the first fallback bytes arrive
+    this.emitProgress && this.emitProgress({ loaded: 0, total: 0 }, fallbackUrl, true);
 
-    gltfLoader.load(
+    this._loadGLTF(
       fallbackUrl,
+      version,
       (gltf) => {
         console.log('✅ (module) Model loaded successfully from fallback URL');
-        this.processLoadedModel(gltf, resolve);
+        resolve({ gltf, url: fallbackUrl });
       },
       (progress) => {
+        this.emitProgress && this.emitProgress(progress, fallbackUrl, true);
         if (progress && progress.total) {
           const percent = (progress.loaded / progress.total * 100).toFixed(0);
           console.log(`📊 (module) Fallback loading progress: ${percent}%`);
@@ -86,16 +215,11 @@ export function attachModelLoader(loader) {
     );
   };
 
-  // Helper method to process successfully loaded model
-  loader.processLoadedModel = function processLoadedModel(gltf, resolve) {
-    this.model = gltf.scene;
-
-    // Initialize flag arrays for billboard functionality
-    this.flags = [];
+  // Shadows, fade-in start opacity and flag detection for a freshly loaded level; returns its flags
+  loader._prepareModel = function prepareModel(model) {
+    const flags = [];
     console.log('🔍 Starting flag detection process...');
-
-    // Prepare meshes (shadow + fade-in start) and collect flags
-    this.model.traverse((child) => {
+    model.traverse((child) => {
       // Log all objects with names for debugging
       if (child.name) {
         console.log('🔍 Found named object:', child.name, 'type:', child.type);
@@ -114,19 +238,22 @@ export function attachModelLoader(loader) {
         child.name.toLowerCase().includes('flagge') ||
         child.name.toLowerCase().includes('banner')
       )) {
-        this.flags.push(child);
+        flags.push(child);
         console.log('🚩 Found flag object:', child.name, 'position:', child.position, 'rotation:', child.rotation);
       }
     });
+    console.log(`🏴 Billboard system: Detected ${flags.length} flag objects`);
+    return flags;
+  };
 
-    console.log(`🏴 Billboard system: Detected ${this.flags.length} flag objects`);
-    console.log('🏴 Flags array:', this.flags.map(f => ({ name: f.name, uuid: f.uuid })));
+  // First level: placed by centerModel(), stations wired up, faded in
+  loader.processLoadedModel = function processLoadedModel(gltf, url = this.modelUrl, level = { name: 'model', final: true }) {
+    this.model = gltf.scene;
+    this.modelLevel = level.name;
 
-    // IMPORTANT: Store flags reference in main class for billboard access
-    if (window.simple3DLoaderInstance) {
-      window.simple3DLoaderInstance.flags = this.flags;
-      console.log('🏴 Flags array copied to main instance');
-    }
+    // Prepare meshes (shadow + fade-in start) and collect flags for billboarding
+    this.flags = this._prepareModel(this.model);
+    console.log('🏴 Flags array:', this.flags.map(f => ({ name: f.name, uuid: f.uuid })));
 
     this.scene.add(this.model);
     this.centerModel();
@@ -139,12 +266,115 @@ export function attachModelLoader(loader) {
     } catch (e) {
       console.warn('⚠️ (module) setupInteractiveObjects failed:', e.message);
     }
+    // After stations are mapped, so station meshes stay separate and their buildings keep full detail
+    this.optimizeModel && this.optimizeModel(this.model);
+    this.setupModelLod && this.setupModelLod(this.model);
 
     // Use existing fadeInModel if present
     if (typeof this.fadeInModel === 'function') {
       this.fadeInModel();
     }
-    resolve();
+    this.emit && this.emit('modelloaded', { model: this.model, url, level: level.name, final: level.final });
+  };
+
+  // Later levels load one after another; a failure keeps the detail already shown
+  loader._streamModelLevels = async function streamModelLevels(levels) {
+    for (const level of levels) {
+      let result;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        result = await this.fetchModel(level);
+      } catch (error) {
+        console.warn(`⚠️ (module) Model level '${level.name}' unavailable, keeping '${this.modelLevel}'`);
+        this.reportError && this.reportError(error, 'model', false);
+        return;
+      }
+      if (!this.scene || !this.model || this.degraded) { // disposed while downloading
+        this._disposeModel(result.gltf.scene);
+        return;
+      }
+      this.swapModelLevel(result.gltf, result.url, level);
+    }
+  };
+
+  // Replace the current level with a more detailed one: same placement, stations re-mapped onto
+  // the new meshes, then a crossfade (instant under reduced motion)
+  loader.swapModelLevel = function swapModelLevel(gltf, url, level) {
+    this._finishModelCrossfade();
+    this.removeFrameTask('model-fade'); // the first level may still be fading in
+    const previous = this.model;
+    const next = gltf.scene;
+    const flags = this._prepareModel(next);
+    // Levels share source coordinates; centerModel() would also reset the camera
+    next.position.copy(previous.position);
+    next.quaternion.copy(previous.quaternion);
+    next.scale.copy(previous.scale);
+    this.scene.add(next);
+
+    this.clearHover && this.clearHover();
+    this.model = next;
+    this.modelLevel = level.name;
+    this.flags = flags;
+    try {
+      if (this.interactionSystemInitialized && typeof this.setupInteractiveObjects === 'function') {
+        this.setupInteractiveObjects();
+      }
+    } catch (e) {
+      console.warn('⚠️ (module) setupInteractiveObjects failed:', e.message);
+    }
+    // After stations are mapped, so station meshes stay separate and their buildings keep full detail
+    this.optimizeModel && this.optimizeModel(this.model);
+    this.setupModelLod && this.setupModelLod(this.model);
+
+    this._crossfadeModels(previous, next);
+    console.log(`🔀 (module) Model level '${level.name}' swapped in`);
+    this.emit && this.emit('modelloaded', { model: next, url, level: level.name, final: level.final });
+  };
+
+  loader._crossfadeModels = function crossfadeModels(previous, next) {
+    if (this.reducedMotion) {
+      this._modelCrossfade = { previous, next, removeTask: () => {} };
+      this._finishModelCrossfade();
+      return;
+    }
+    // The outgoing level stops writing depth so it cannot hide the incoming one
+    previous.traverse((child) => {
+      if (child.isMesh && child.material) child.material.depthWrite = false;
+    });
+    const start = performance.now();
+    const state = { previous, next };
+    this._modelCrossfade = state;
+    state.removeTask = this.addFrameTask('model-crossfade', (now) => {
+      const progress = Math.min(Math.max(now - start, 0) / CROSSFADE_MS, 1);
+      const eased = 1 - Math.pow(1 - progress, 3);
+      setModelOpacity(next, eased);
+      setModelOpacity(previous, 1 - eased);
+      if (progress < 1) return true;
+      this._finishModelCrossfade();
+      return false;
+    }, { priority: 'animation' });
+    this.invalidate && this.invalidate();
+  };
+
+  // Completes a running crossfade at once (also when the next level arrives mid-fade)
+  loader._finishModelCrossfade = function finishModelCrossfade() {
+    const state = this._modelCrossfade;
+    if (!state) return;
+    this._modelCrossfade = null;
+    state.removeTask();
+    setModelOpacity(state.next, 1);
+    this._disposeModel(state.previous);
+    this.invalidate && this.invalidate();
+  };
+
+  loader._disposeModel = function disposeModel(model) {
+    if (model.parent) model.parent.remove(model);
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      if (child.geometry) child.geometry.dispose();
+      (Array.isArray(child.material) ? child.material : [child.material])
+        .forEach(material => material && this.disposeMaterial(material));
+    });
   };
 
   // Helper method to get alternative model URL (fallback logic)
@@ -0,0 +1,221 @@
+// Model LOD Module
+// Provides: loader.setupModelLod(), loader.updateModelLod(), loader.getLodStats(), loader.disposeModelLod(),
+//           loader.getModelGroups(), loader.getModelGroupContainer()
+// Per-building level of detail for the city model (config.performance.lod):
+//   - every top-level node of the model (a building or tile) is one group
+//   - nodes or meshes named <name>_LOD1, <name>_LOD2 ... are simplified variants shown beyond
+//     lod.distances[0], lod.distances[1] ...; the rest of the group is level 0
+//   - groups beyond lod.cullDistance are hidden (0 = never)
+//   - meshes smaller than lod.shadowMinSize never cast shadows, groups beyond
+//     lod.shadowDistance stop casting them
+// Groups holding a station keep full detail and are never hidden. Frustum culling itself is
+// Three.js' per-mesh test; splitting the city into groups is what gives it something to cull.
+// Work only happens on frames where the camera moved.
+
+const DEFAULTS = { distances: [100, 160], cullDistance: 0, shadowDistance: 140, shadowMinSize: 1.5 };
+const LOD_SUFFIX = /[_.\- ]lod(\d+)$/i;
+
+function triangleCount(mesh) {
+  const geometry = mesh.geometry;
+  if (!geometry || !geometry.attributes.position) return 0;
+  return Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+}
+
+// LOD index from the mesh's own name or the nearest named ancestor inside its group
+function lodLevelOf(mesh, groupRoot) {
+  for (let node = mesh; node && node !== groupRoot.parent; node = node.parent) {
+    const match = node.name && node.name.match(LOD_SUFFIX);
+    if (match) return parseInt(match[1], 10);
+  }
+  return 0;
+}
+
+// Skip single-child wrapper nodes (glTF scene root, Blender collections) to reach the buildings
+function groupContainer(model) {
+  let root = model;
+  while (root.children.length === 1 && !root.children[0].isMesh) root = root.children[0];
+  return root;
+}
+
+export function attachModelLod(loader) {
+  if (!loader) return;
+  if (loader.modelLodAttached) {
+    console.log('♻️ attachModelLod: already attached');
+    return;
+  }
+
+  loader._lodConfig = function lodConfig() {
+    return { ...DEFAULTS, ...(this.config.performance?.lod || {}) };
+  };
+
+  // Node whose children are the model's buildings / tiles
+  loader.getModelGroupContainer = function getModelGroupContainer(model = this.model) {
+    return groupContainer(model);
+  };
+
+  // Buildings / tiles with their meshes: [{ name, meshes: [{ mesh, level, root }] }].
+  // Variants exported as siblings (Building12, Building12_LOD1) join their building's group.
+  loader.getModelGroups = function getModelGroups(model = this.model) {
+    const container = groupContainer(model);
+    const roots = container.children.length ? container.children : [container];
+    const groups = new Map();
+    roots.forEach((root, i) => {
+      const name = (root.name || `group-${i}`).replace(LOD_SUFFIX, '');
+      if (!groups.has(name)) groups.set(name, { name, meshes: [] });
+      root.traverse((child) => {
+        if (child.isMesh) groups.get(name).meshes.push({ mesh: child, level: lodLevelOf(child, root), root });
+      });
+    });
+    return Array.from(groups.values());
+  };
+
+  // Build the groups for a freshly placed model (after centerModel and setupInteractiveObjects)
+  loader.setupModelLod = function setupModelLod(model = this.model) {
+    this.disposeModelLod();
+    const cfg = this._lodConfig();
+    if (cfg.enabled === false || !model) return;
+
+    model.updateMatrixWorld(true);
+    const stationMeshes = new Set((this.interactiveObjects || []).map(meta => meta.object));
+    const box = new THREE.Box3();
+    const sphere = new THREE.Sphere();
+    const groups = [];
+    let smallMeshes = 0;
+
+    this.getModelGroups(model).forEach(({ name, meshes }) => {
+      const levels = [];
+      const shadowMeshes = [];
+      let pinned = false;
+      box.makeEmpty();
+      meshes.forEach(({ mesh, level }) => {
+        (levels[level] || (levels[level] = [])).push(mesh);
+        if (stationMeshes.has(mesh)) pinned = true;
+        // Small props (bollards, signs, flags) barely show in a shadow map
+        const meshBox = new THREE.Box3().setFromObject(mesh);
+        box.union(meshBox);
+        meshBox.getBoundingSphere(sphere);
+        if (sphere.radius * 2 < cfg.shadowMinSize) {
+          mesh.castShadow = false;
+          smallMeshes++;
+        } else {
+          shadowMeshes.push(mesh);
+        }
+      });
+      if (!levels.length) return;
+      // Missing levels (e.g. only _LOD2 exported) fall back to the next coarser one that exists
+      const dense = levels.filter(Boolean);
+      groups.push({
+        name,
+        levels: dense,
+        triangles: dense.map(meshes => meshes.reduce((sum, mesh) => sum + triangleCount(mesh), 0)),
+        sphere: box.getBoundingSphere(new THREE.Sphere()),
+        shadowMeshes,
+        pinned,
+        level: -1,
+        hidden: false,
+        castShadow: true,
+        inFrustum: true
+      });
+    });
+
+    this._modelLod = {
+      model,
+      groups,
+      smallMeshes,
+      lastCamera: new THREE.Matrix4(),
+      frustum: new THREE.Frustum(),
+      projection: new THREE.Matrix4(),
+      cameraPosition: new THREE.Vector3()
+    };
+    this.updateModelLod(true);
+    const simplified = groups.filter(g => g.levels.length > 1).length;
+    console.log(`🏘️ (module) LOD: ${groups.length} groups, ${simplified} with simplified variants, ${smallMeshes} small meshes without shadows`);
+  };
+
+  // Frame task 'model-lod': pick each group's level, distance-cull and toggle shadow casting
+  loader.updateModelLod = function updateModelLod(force = false) {
+    const state = this._modelLod;
+    const camera = this.camera;
+    if (!state || !camera) return;
+    camera.updateMatrixWorld();
+    if (!force && state.lastCamera.equals(camera.matrixWorld)) return;
+    state.lastCamera.copy(camera.matrixWorld);
+
+    const cfg = this._lodConfig();
+    const position = camera.getWorldPosition(state.cameraPosition);
+    state.projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    state.frustum.setFromProjectionMatrix(state.projection);
+
+    state.groups.forEach((group) => {
+      const distance = Math.max(position.distanceTo(group.sphere.center) - group.sphere.radius, 0);
+      let level = 0;
+      if (!group.pinned) {
+        while (level < group.levels.length - 1 && level < cfg.distances.length && distance > cfg.distances[level]) level++;
+      }
+      const hidden = !group.pinned && cfg.cullDistance > 0 && distance > cfg.cullDistance;
+      if (level !== group.level || hidden !== group.hidden) {
+        group.levels.forEach((meshes, i) => meshes.forEach((mesh) => { mesh.visible = !hidden && i === level; }));
+        group.level = level;
+        group.hidden = hidden;
+      }
+      const castShadow = !hidden && (cfg.shadowDistance <= 0 || distance <= cfg.shadowDistance);
+      if (castShadow !== group.castShadow) {
+        group.shadowMeshes.forEach((mesh) => { mesh.castShadow = castShadow; });
+        group.castShadow = castShadow;
+      }
+      group.inFrustum = state.frustum.intersectsSphere(group.sphere);
+    });
+  };
+
+  // Main-pass estimate (one draw call per mesh) against drawing every group at full detail,
+  // plus what the renderer actually submitted for the last frame
+  loader.getLodStats = function getLodStats() {
+    const state = this._modelLod;
+    if (!state) return null;
+    const stats = {
+      groups: state.groups.length,
+      simplifiedGroups: 0,
+      levels: [],
+      distanceCulled: 0,
+      outsideFrustum: 0,
+      shadowCasters: 0,
+      shadowSkipped: state.smallMeshes,
+      triangles: { full: 0, rendered: 0, saved: 0 },
+      drawCalls: { full: 0, rendered: 0, saved: 0 },
+      measured: this.renderer ? { calls: this.renderer.info.render.calls, triangles: this.renderer.info.render.triangles } : null
+    };
+    state.groups.forEach((group) => {
+      if (group.levels.length > 1) stats.simplifiedGroups++;
+      stats.triangles.full += group.triangles[0];
+      stats.drawCalls.full += group.levels[0].length;
+      if (group.castShadow) stats.shadowCasters += group.shadowMeshes.length;
+      else stats.shadowSkipped += group.shadowMeshes.length;
+      if (group.hidden) {
+        stats.distanceCulled++;
+        return;
+      }
+      stats.levels[group.level] = (stats.levels[group.level] || 0) + 1;
+      if (!group.inFrustum) {
+        stats.outsideFrustum++;
+        return;
+      }
+      stats.triangles.rendered += group.triangles[group.level];
+      stats.drawCalls.rendered += group.levels[group.level].length;
+    });
+    stats.levels = Array.from(stats.levels, n => n || 0);
+    stats.triangles.saved = stats.triangles.full - stats.triangles.rendered;
+    stats.drawCalls.saved = stats.drawCalls.full - stats.drawCalls.rendered;
+    return stats;
+  };
+
+  // Forget the groups (the meshes keep their last visibility and shadow flags)
+  loader.disposeModelLod = function disposeModelLod() {
+    this._modelLod = null;
+  };
+
+  loader.addFrameTask('model-lod', () => { loader.updateModelLod(); }, { priority: 'scene' });
+  loader.modelLodAttached = true;
+  console.log('🧩 attachModelLod(loader) attached');
+}
+
+window.attachModelLod = attachModelLod;
@@ -0,0 +1,110 @@
+// Offline Module
+// Provides: loader.registerServiceWorker(), loader.unregisterServiceWorker(), loader.cacheStationAssets(),
+//           loader.getOfflineState()
+// Opt-in offline support (config.offline.enabled) for the station tour on poor mobile reception.
+// Registers the map service worker (src/scripts/map3d-sw.js, deployed next to the loader) after the
+// map is ready; it precaches the loader, the core modules, Three.js, the models and the config.
+// Each station's modal images, backgrounds and inline HTML are handed to the worker once
+// lazyLoadModalAssets() has revealed them, so visited stations open offline too.
+// Service workers only control pages of their own origin: on the Webflow domain the worker must be
+// served from that domain (config.offline.serviceWorkerUrl, e.g. a proxied path). Its assets still
+// come from the deployment the loader was loaded from (passed as ?assets=).
+
+const WORKER_FILE = 'map3d-sw.js';
+const OFFLINE_CACHE_PREFIXES = ['map3d-precache-', 'map3d-stations', 'map3d-pages'];
+
+function absoluteUrl(url) {
+  try { return new URL(url, window.location.href).href; } catch (e) { return null; }
+}
+
+export function attachOffline(loader) {
+  if (!loader) return;
+  if (loader.offlineAttached) {
+    console.log('♻️ attachOffline: already attached');
+    return;
+  }
+
+  // Next to the loader script that is actually running (src/scripts/ or the built scripts/)
+  loader._serviceWorkerUrl = function serviceWorkerUrl() {
+    const configured = this.config.offline?.serviceWorkerUrl;
+    if (configured) return new URL(configured, window.location.href);
+    const script = document.querySelector('script[src*="simple-3d-loader"]');
+    return new URL(WORKER_FILE, script ? script.src : this.getSourceUrls(`src/scripts/${WORKER_FILE}`).primary);
+  };
+
+  loader.registerServiceWorker = async function registerServiceWorker() {
+    const cfg = this.config.offline || {};
+    if (!cfg.enabled || !('serviceWorker' in navigator)) return null;
+    if (this.isDevelopment) {
+      console.log('ℹ️ (module) Offline service worker skipped in development');
+      return null;
+    }
+    const url = this._serviceWorkerUrl();
+    if (url.origin !== window.location.origin) {
+      console.warn(`⚠️ (module) Service worker ${url.href} is not on this page's origin; serve ${WORKER_FILE} from ${window.location.origin} and set offline.serviceWorkerUrl`);
+      return null;
+    }
+    url.searchParams.set('assets', new URL(this.getSourceUrls('').primary).origin);
+    try {
+      this._serviceWorker = await navigator.serviceWorker.register(url.href, { scope: cfg.scope || '/' });
+      console.log('📴 (module) Offline service worker registered:', this._serviceWorker.scope);
+      return this._serviceWorker;
+    } catch (error) {
+      console.warn('⚠️ (module) Service worker registration failed:', error.message);
+      this.reportError && this.reportError(error, 'offline', false);
+      return null;
+    }
+  };
+
+  // Removes the worker and its caches (the model cache of core/model-cache is separate)
+  loader.unregisterServiceWorker = async function unregisterServiceWorker() {
+    if (!('serviceWorker' in navigator)) return false;
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    const ours = registrations.filter(r => [r.active, r.waiting, r.installing]
+      .some(worker => worker && new URL(worker.scriptURL).pathname.endsWith(`/${WORKER_FILE}`)));
+    await Promise.all(ours.map(r => r.unregister()));
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => OFFLINE_CACHE_PREFIXES.some(p => name.startsWith(p))).map(name => caches.delete(name)));
+    this._serviceWorker = null;
+    console.log(`🧹 (module) Offline service worker removed (${ours.length} registration(s))`);
+    return ours.length > 0;
+  };
+
+  // Called by lazyLoadModalAssets() once a modal's assets are in place. Images report the
+  // candidate the browser picked from srcset once loaded; videos stream and are skipped.
+  loader.cacheStationAssets = function cacheStationAssets(modalId, modalEl) {
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!this.config.offline?.enabled || !worker || !modalEl) return;
+    const clean = list => list.map(absoluteUrl).filter(url => url && /^https?:/.test(url));
+    // Inline HTML is fetch()ed (CORS) by lazyLoadModalAssets; the rest loads as no-cors media
+    const send = (urls, corsUrls = []) => {
+      const message = { type: 'map3d:cache-station-assets', modalId, urls: clean(urls), corsUrls: clean(corsUrls) };
+      if (message.urls.length || message.corsUrls.length) worker.postMessage(message);
+    };
+
+    const urls = [];
+    modalEl.querySelectorAll('[data-bg-src]').forEach(el => urls.push(el.getAttribute('data-bg-src')));
+    modalEl.querySelectorAll('video[poster]').forEach(v => urls.push(v.getAttribute('poster')));
+    modalEl.querySelectorAll('img').forEach((img) => {
+      if (img.complete && img.currentSrc) urls.push(img.currentSrc);
+      else img.addEventListener('load', () => send([img.currentSrc]), { once: true });
+    });
+    send(urls, Array.from(modalEl.querySelectorAll('[data-inline-html]'), el => el.getAttribute('data-inline-html')));
+  };
+
+  loader.getOfflineState = function getOfflineState() {
+    const supported = 'serviceWorker' in navigator;
+    return {
+      enabled: !!this.config.offline?.enabled,
+      supported,
+      controlled: supported && !!navigator.serviceWorker.controller,
+      scope: this._serviceWorker ? this._serviceWorker.scope : null,
+      online: navigator.onLine
+    };
+  };
+
+  loader.offlineAttached = true;
+  console.log('🧩 attachOffline(loader) attached');
+}
+
+window.attachOffline = attachOffline;
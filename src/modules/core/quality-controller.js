@@ -0,0 +1,183 @@
+// Quality Controller Module
+// Provides: loader.sampleFrame(), loader.setQualityTier(), loader.getQualityState(), loader.initialAntialias()
+// Adaptive quality driven by measured frame rate (config.performance.targetFPS / adaptiveQuality).
+// Each rendered frame feeds its timestamp; every sample window the average FPS is compared with the
+// target. Stepping down needs two slow windows in a row, stepping up needs several fast ones and
+// waits longer each time a step up had to be undone, so the tier does not oscillate.
+// Under render on demand only frames the loop chained itself (damping, tweens, fades) are
+// counted: frames started by input come at the input rate, not the device's.
+// Antialiasing is a WebGL context attribute and cannot change on a live renderer: the tier reached
+// is remembered for the session and the next renderer is created with (or without) it.
+
+export const QUALITY_TIERS = [
+  { name: 'low', pixelRatio: 0.75, shadows: false, shadowMapSize: 512, antialias: false },
+  { name: 'medium', pixelRatio: 1.5, shadows: true, shadowMapSize: 1024, antialias: true },
+  { name: 'high', pixelRatio: 2.0, shadows: true, shadowMapSize: 2048, antialias: true }
+];
+
+const SESSION_KEY = 'map3d:qualityTier';
+const MAX_FRAME_GAP_MS = 250;   // longer gaps are pauses (hidden tab, modal), not slow frames
+const DOWNGRADE_WINDOWS = 2;
+const UPGRADE_WINDOWS = 4;
+const COOLDOWN_MS = 3000;
+const MIN_WINDOW_FRAMES = 20;  // chained frames a window needs before it counts
+
+function tierIndex(name) {
+  const i = QUALITY_TIERS.findIndex(t => t.name === name);
+  return i === -1 ? QUALITY_TIERS.length - 1 : i;
+}
+
+function readSessionTier() {
+  try { return sessionStorage.getItem(SESSION_KEY); } catch (e) { return null; }
+}
+
+function writeSessionTier(name) {
+  try { sessionStorage.setItem(SESSION_KEY, name); } catch (e) { /* storage blocked */ }
+}
+
+export function attachQualityController(loader) {
+  if (!loader) return;
+  if (loader.qualityControllerAttached) {
+    console.log('♻️ attachQualityController: already attached');
+    return;
+  }
+
+  // Highest tier allowed by config.performance.qualityLevel
+  loader._maxQualityIndex = function maxQualityIndex() {
+    return tierIndex(this.config.performance?.qualityLevel || 'high');
+  };
+
+  // Starting tier: the lowest of the config ceiling, the GPU heuristic and this session's memory
+  loader._initialQualityIndex = function initialQualityIndex() {
+    const candidates = [this._maxQualityIndex()];
+    if (this.qualityTier) candidates.push(tierIndex(this.qualityTier));
+    const remembered = readSessionTier();
+    if (remembered) candidates.push(tierIndex(remembered));
+    return Math.min(...candidates);
+  };
+
+  // Used when the renderer is created
+  loader.initialAntialias = function initialAntialias() {
+    return !!this.config.performance?.enableAntialiasing && QUALITY_TIERS[this._initialQualityIndex()].antialias;
+  };
+
+  loader.setQualityTier = function setQualityTier(nameOrIndex, reason = 'manual') {
+    const index = typeof nameOrIndex === 'number' ? nameOrIndex : tierIndex(nameOrIndex);
+    const clamped = Math.max(0, Math.min(index, this._maxQualityIndex()));
+    const tier = QUALITY_TIERS[clamped];
+    const state = this._quality || (this._quality = {});
+    const previous = state.index;
+    state.index = clamped;
+    this.qualityTier = tier.name;
+    writeSessionTier(tier.name);
+
+    // Pixel ratio goes through the same cap that devicePixelRatio changes use
+    this._pixelRatioCap = tier.pixelRatio;
+    if (this.updatePixelRatio) this.updatePixelRatio();
+    else if (this.renderer) this.renderer.setPixelRatio(Math.min(tier.pixelRatio, window.devicePixelRatio || 1));
+
+    this._applyShadowQuality(tier);
+    this.invalidate && this.invalidate();
+    if (previous !== undefined && previous !== clamped) {
+      console.log(`${clamped < previous ? '📉' : '📈'} (module) Quality ${QUALITY_TIERS[previous].name} -> ${tier.name} (${reason})`);
+      this.emit && this.emit('qualitychange', { tier: tier.name, previous: QUALITY_TIERS[previous].name, reason, fps: state.fps ?? null });
+    }
+    return tier.name;
+  };
+
+  loader._applyShadowQuality = function applyShadowQuality(tier) {
+    if (!this.renderer) return;
+    const shadowMap = this.renderer.shadowMap;
+    const toggled = shadowMap.enabled !== tier.shadows;
+    shadowMap.enabled = tier.shadows;
+    if (!this.scene) return;
+    this.scene.traverse(obj => {
+      if (obj.isLight && obj.shadow && obj.castShadow && obj.shadow.mapSize.x !== tier.shadowMapSize) {
+        obj.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        if (obj.shadow.map) {
+          obj.shadow.map.dispose();
+          obj.shadow.map = null; // reallocated at the new size on the next render
+        }
+      }
+      // Shadow on/off changes shader programs
+      if (toggled && obj.isMesh && obj.material) {
+        (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(m => { m.needsUpdate = true; });
+      }
+    });
+  };
+
+  // Called once per rendered frame, after the draw call (frame task 'quality-sampling')
+  loader.sampleFrame = function sampleFrame(now) {
+    const cfg = this.config.performance?.adaptiveQuality || {};
+    if (cfg.enabled === false || !this.renderer) return;
+
+    let state = this._quality;
+    if (!state || state.index === undefined) {
+      this.setQualityTier(this._initialQualityIndex(), 'initial');
+      state = this._quality;
+    }
+    if (!state.windowStart) {
+      Object.assign(state, {
+        windowStart: now, lastFrame: now, frames: 0, activeMs: 0,
+        slowWindows: 0, fastWindows: 0, upgradeWindows: UPGRADE_WINDOWS, lastChange: now, lastDirection: null
+      });
+      return;
+    }
+
+    const gap = now - state.lastFrame;
+    state.lastFrame = now;
+    if (gap > MAX_FRAME_GAP_MS || !this._frameChained) return;
+    state.frames++;
+    state.activeMs += gap;
+    if (now - state.windowStart < (cfg.sampleWindowMs || 2000)) return;
+
+    const frames = state.frames;
+    const fps = state.activeMs > 0 ? (frames * 1000) / state.activeMs : 0;
+    state.windowStart = now;
+    state.frames = 0;
+    state.activeMs = 0;
+    if (frames < MIN_WINDOW_FRAMES) return; // mostly idle: too little animation to judge
+    state.fps = Math.round(fps);
+    if (now - state.lastChange < COOLDOWN_MS) return;
+
+    const target = this.config.performance?.targetFPS || 60;
+    if (fps < target * (cfg.downgradeRatio ?? 0.85)) {
+      state.fastWindows = 0;
+      if (++state.slowWindows >= DOWNGRADE_WINDOWS && state.index > 0) {
+        // A step down right after a step up means that tier is too much: wait twice as long next time
+        if (state.lastDirection === 'up') state.upgradeWindows *= 2;
+        this.setQualityTier(state.index - 1, `${state.fps} fps < ${target}`);
+        Object.assign(state, { slowWindows: 0, lastChange: now, lastDirection: 'down' });
+      }
+    } else if (fps >= target * (cfg.upgradeRatio ?? 0.95)) {
+      state.slowWindows = 0;
+      if (++state.fastWindows >= state.upgradeWindows && state.index < this._maxQualityIndex()) {
+        this.setQualityTier(state.index + 1, `${state.fps} fps headroom`);
+        Object.assign(state, { fastWindows: 0, lastChange: now, lastDirection: 'up' });
+      }
+    } else {
+      state.slowWindows = 0;
+      state.fastWindows = 0;
+    }
+  };
+
+  loader.getQualityState = function getQualityState() {
+    const state = this._quality || {};
+    const tier = state.index !== undefined ? QUALITY_TIERS[state.index] : null;
+    return {
+      tier: tier ? tier.name : (this.qualityTier || null),
+      fps: state.fps ?? null,
+      targetFPS: this.config.performance?.targetFPS || 60,
+      pixelRatio: this.renderer ? this.renderer.getPixelRatio() : null,
+      shadows: this.renderer ? this.renderer.shadowMap.enabled : null,
+      antialias: this.renderer ? !!this.renderer.getContextAttributes()?.antialias : null,
+      adaptive: this.config.performance?.adaptiveQuality?.enabled !== false
+    };
+  };
+
+  loader.addFrameTask('quality-sampling', (now) => { loader.sampleFrame(now); }, { priority: 'measure' });
+  loader.qualityControllerAttached = true;
+  console.log('🧩 attachQualityController(loader) attached');
+}
+
+window.attachQualityController = attachQualityController;
@@ -0,0 +1,235 @@
+// Static Map Module
+// Provides: loader.showStaticMap(), loader.hideStaticMap(), loader.captureStaticMap()
+// Degraded mode for devices without WebGL or when Three.js cannot load: a pre-rendered image of
+// the map (config.ui.staticMap.image, or data-map-static-image on the container) with one button
+// per station placed at its hotspot (config.stations[].hotspot or data-station-hotspot="x,y", in %
+// of the image). Buttons open the same modals through loader.activateStation(). Stations without
+// a hotspot, or every station when no image is configured, are listed below the image instead.
+// config.ui.staticMap.video (data-map-static-video) swaps the image for a muted looping video with
+// the image as its poster, except under reduced motion.
+// Markup: .map3d-static > .map3d-static__stage > .map3d-static__image (img or video) + .map3d-static__hotspot,
+// then .map3d-static__list. Default styles are wrapped in :where() so Webflow classes override them.
+// captureStaticMap() renders the current 3D view and returns the image plus hotspots;
+// scripts/capture-static-map.js (npm run capture-static-map) runs it in headless Chromium and
+// writes public/static-map.webp and the hotspots into the config. Relative image / video paths
+// resolve against the deployment, like the models.
+
+const MESSAGES = {
+  alt: 'Map of the stations',
+  list: 'Map stations',
+  notice: 'The interactive 3D map is not available on this device.'
+};
+
+const DEFAULT_STYLES = `
+  :where(.map3d-static) {
+    position: absolute; inset: 0; z-index: 2; container-type: size;
+    display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 1rem;
+    padding: 1rem; box-sizing: border-box; overflow: auto;
+    font: 500 0.9rem/1.3 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #fff;
+  }
+  :where(.map3d-static__stage) {
+    position: relative; flex: 0 1 auto; min-height: 0;
+    width: min(100cqw, calc(100cqh * var(--map3d-static-ratio, 1.5)));
+  }
+  :where(.map3d-static__image) { display: block; width: 100%; height: auto; border-radius: 0.5rem; }
+  :where(.map3d-static__hotspot) {
+    position: absolute; transform: translate(-50%, -50%);
+    width: 1.75rem; height: 1.75rem; padding: 0; border-radius: 50%; cursor: pointer;
+    border: 3px solid #fff; background: #e2574c; box-shadow: 0 2px 10px rgba(0,0,0,0.35);
+  }
+  :where(.map3d-static__hotspot-label) {
+    position: absolute; left: 50%; bottom: calc(100% + 0.4rem); transform: translateX(-50%);
+    padding: 0.35rem 0.75rem; border-radius: 0.5rem; white-space: nowrap; pointer-events: none;
+    background: rgba(255,255,255,0.95); color: #1d2b33; box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    font: inherit; opacity: 0; transition: opacity 0.2s ease;
+  }
+  :where(.map3d-static__hotspot:hover .map3d-static__hotspot-label),
+  :where(.map3d-static__hotspot:focus-visible .map3d-static__hotspot-label) { opacity: 1; }
+  :where(.map3d-static__hotspot:focus-visible) { outline: 3px solid #ffd54f; outline-offset: 2px; }
+  :where(.map3d-static__list) {
+    display: flex; flex-wrap: wrap; justify-content: center; gap: 0.5rem;
+    list-style: none; margin: 0; padding: 0;
+  }
+  :where(.map3d-static__item) {
+    padding: 0.5rem 1rem; border-radius: 0.5rem; border: 0; cursor: pointer;
+    background: #fff; color: #1d2b33; font: inherit; box-shadow: 0 2px 12px rgba(0,0,0,0.25);
+  }
+  :where(.map3d-static__item:focus-visible) { outline: 3px solid #ffd54f; outline-offset: 2px; }
+  :where(.map3d-static__notice) { margin: 0; opacity: 0.8; text-align: center; }
+  @media (prefers-reduced-motion: reduce) { :where(.map3d-static__hotspot-label) { transition: none; } }
+`;
+
+function injectDefaultStyles() {
+  if (document.getElementById('map3d-static-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'map3d-static-styles';
+  style.textContent = DEFAULT_STYLES;
+  document.head.insertBefore(style, document.head.firstChild);
+}
+
+// Muted looping poster video; falls back to the image (if any) when it cannot play
+function buildVideo(src, poster, label, onSize) {
+  const video = document.createElement('video');
+  video.className = 'map3d-static__image';
+  Object.assign(video, { src, muted: true, loop: true, autoplay: true, playsInline: true, preload: 'auto' });
+  if (poster) video.poster = poster;
+  video.disablePictureInPicture = true;
+  video.setAttribute('role', 'img');
+  video.setAttribute('aria-label', label);
+  video.addEventListener('loadedmetadata', () => onSize(video.videoWidth, video.videoHeight), { once: true });
+  video.addEventListener('error', () => {
+    if (!poster) return;
+    video.replaceWith(buildImage(poster, label, onSize));
+  }, { once: true });
+  return video;
+}
+
+function buildImage(src, label, onSize) {
+  const img = document.createElement('img');
+  img.className = 'map3d-static__image';
+  img.src = src;
+  img.alt = label;
+  img.decoding = 'async';
+  img.addEventListener('load', () => onSize(img.naturalWidth, img.naturalHeight), { once: true });
+  return img;
+}
+
+// Config paths (e.g. the static-map.webp written by scripts/capture-static-map.js) live on the deployment
+function deployedUrl(loader, src) {
+  if (!src || /^([a-z]+:|\/\/)/i.test(src)) return src;
+  return loader.getSourceUrls(src.replace(/^\//, '')).primary;
+}
+
+function stationTitle(station) {
+  return station.title || station.mesh;
+}
+
+export function attachStaticMap(loader) {
+  if (!loader) return;
+  if (loader.staticMapAttached) {
+    console.log('♻️ attachStaticMap: already attached');
+    return;
+  }
+
+  // Stations open through the normal path, without a 3D object to fly to
+  loader._staticStationMeta = function staticStationMeta(station) {
+    return { object: null, station, stationKey: station.mesh, modalId: station.modalId };
+  };
+
+  loader._staticStationButton = function staticStationButton(station, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.dataset.modalId = station.modalId;
+    button.addEventListener('click', () => this.activateStation(this._staticStationMeta(station)));
+    return button;
+  };
+
+  loader.showStaticMap = async function showStaticMap() {
+    if (!this.container) return false;
+    if (!this.stationRegistryAttached) await this.loadModule('core/station-registry');
+    // The 3D path builds the registry after the model loads; degraded mode arrives before that
+    const stations = this.stations && this.stations.length ? this.stations : this.buildStationRegistry();
+    const cfg = this.config.ui?.staticMap || {};
+    const image = this.container.dataset.mapStaticImage || deployedUrl(this, cfg.image) || '';
+    const video = this.reducedMotion ? '' : (this.container.dataset.mapStaticVideo || deployedUrl(this, cfg.video) || '');
+    this.hideStaticMap();
+    injectDefaultStyles();
+
+    const root = document.createElement('div');
+    root.className = 'map3d-static';
+    const backdrop = video || image;
+    const listed = backdrop ? stations.filter(s => !s.hotspot) : stations;
+
+    if (backdrop) {
+      const stage = document.createElement('div');
+      stage.className = 'map3d-static__stage';
+      const alt = this.container.dataset.mapLabel || cfg.alt || MESSAGES.alt;
+      // Stage keeps the media's aspect ratio so percentage hotspots stay on their stations
+      const onSize = (width, height) => {
+        if (width && height) stage.style.setProperty('--map3d-static-ratio', String(width / height));
+      };
+      stage.appendChild(video ? buildVideo(video, image, alt, onSize) : buildImage(image, alt, onSize));
+
+      stations.filter(s => s.hotspot).forEach(station => {
+        const button = this._staticStationButton(station, 'map3d-static__hotspot');
+        button.style.left = `${station.hotspot[0]}%`;
+        button.style.top = `${station.hotspot[1]}%`;
+        button.setAttribute('aria-label', stationTitle(station));
+        const label = document.createElement('span');
+        label.className = 'map3d-static__hotspot-label';
+        label.setAttribute('aria-hidden', 'true');
+        label.textContent = stationTitle(station);
+        button.appendChild(label);
+        stage.appendChild(button);
+      });
+      root.appendChild(stage);
+    } else {
+      root.classList.add('map3d-static--list');
+      const notice = document.createElement('p');
+      notice.className = 'map3d-static__notice';
+      notice.textContent = MESSAGES.notice;
+      root.appendChild(notice);
+    }
+
+    if (listed.length) {
+      const nav = document.createElement('nav');
+      nav.setAttribute('aria-label', this.container.dataset.stationListLabel || MESSAGES.list);
+      const ul = document.createElement('ul');
+      ul.className = 'map3d-static__list';
+      listed.forEach(station => {
+        const li = document.createElement('li');
+        const button = this._staticStationButton(station, 'map3d-static__item');
+        button.textContent = stationTitle(station);
+        li.appendChild(button);
+        ul.appendChild(li);
+      });
+      nav.appendChild(ul);
+      root.appendChild(nav);
+    }
+
+    this.container.appendChild(root);
+    this._staticMap = root;
+    console.log(`🗺️ (module) Static map shown: ${stations.length - listed.length} hotspots, ${listed.length} listed`);
+    return true;
+  };
+
+  loader.hideStaticMap = function hideStaticMap() {
+    if (!this._staticMap) return;
+    this._staticMap.remove();
+    this._staticMap = null;
+  };
+
+  // Authoring helper: render the current view and work out where each station lands on it.
+  // Returns { image (data URL), width, height, hotspots: { modalId: [x%, y%] } }.
+  loader.captureStaticMap = function captureStaticMap({ type = 'image/webp', quality = 0.9 } = {}) {
+    if (!this.renderer || !this.scene || !this.camera) throw new Error('3D scene is not ready');
+    // Read back in the same task as the draw call: the drawing buffer is not preserved
+    this.renderer.render(this.scene, this.camera);
+    const canvas = this.renderer.domElement;
+    const image = canvas.toDataURL(type, quality);
+
+    const boxes = new Map();
+    (this.interactiveObjects || []).forEach(meta => {
+      if (!boxes.has(meta.modalId)) boxes.set(meta.modalId, new THREE.Box3());
+      boxes.get(meta.modalId).expandByObject(meta.object);
+    });
+    const hotspots = {};
+    const v = new THREE.Vector3();
+    boxes.forEach((box, modalId) => {
+      box.getCenter(v).project(this.camera);
+      if (v.z > 1) return; // behind the camera
+      const x = (v.x * 0.5 + 0.5) * 100;
+      const y = (-v.y * 0.5 + 0.5) * 100;
+      if (x < 0 || x > 100 || y < 0 || y > 100) return;
+      hotspots[modalId] = [Number(x.toFixed(1)), Number(y.toFixed(1))];
+    });
+    console.log(`📸 (module) Static map captured at ${canvas.width}x${canvas.height}, ${Object.keys(hotspots).length} hotspots`);
+    return { image, width: canvas.width, height: canvas.height, hotspots };
+  };
+
+  loader.staticMapAttached = true;
+  console.log('🧩 attachStaticMap(loader) attached');
+}
+
+window.attachStaticMap = attachStaticMap;
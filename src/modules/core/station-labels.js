@@ -0,0 +1,220 @@
+// Station Labels Module
+// Provides: loader.refreshStationLabels(), loader.updateStationLabels(), loader.disposeStationLabels()
+// DOM labels anchored above each station and re-projected every frame (config.ui.stationLabels):
+//   mode "hover"  – label of the hovered / keyboard-focused station only (default)
+//   mode "always" – every label, occluded ones marked, off-screen ones clamped to the edge
+//   mode "off"    – no labels
+// Markup: .map3d-labels > .map3d-label > .map3d-label__title + .map3d-label__meta, with
+// data-visible / data-occluded / data-offscreen attributes for styling. A
+// <template data-map-label-template> inside the container replaces the default label markup;
+// its [data-map-label-title] / [data-map-label-meta] children are filled in.
+// Default styles are wrapped in :where() so Webflow classes override them.
+
+const OCCLUSION_INTERVAL_MS = 200;
+const EDGE_MARGIN = 12; // px kept between clamped labels and the canvas edge
+
+const DEFAULT_STYLES = `
+  :where(.map3d-labels) { position: absolute; inset: 0; pointer-events: none; overflow: hidden; z-index: 3; }
+  :where(.map3d-label) {
+    position: absolute; left: 0; top: 0; will-change: transform;
+    padding: 0.35rem 0.75rem; border-radius: 0.5rem; white-space: nowrap;
+    background: rgba(255,255,255,0.95); color: #1d2b33; box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    font: 500 0.85rem/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+    opacity: 0; transition: opacity 0.2s ease;
+  }
+  :where(.map3d-label[data-visible]) { opacity: 1; }
+  :where(.map3d-label[data-visible][data-occluded]) { opacity: 0.45; }
+  :where(.map3d-label[data-offscreen]) { font-size: 0.75rem; }
+  :where(.map3d-label__meta) { display: block; font-size: 0.75em; opacity: 0.7; }
+  :where(.map3d-label__meta:empty) { display: none; }
+  @media (prefers-reduced-motion: reduce) { :where(.map3d-label) { transition: none; } }
+`;
+
+function injectDefaultStyles() {
+  if (document.getElementById('map3d-label-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'map3d-label-styles';
+  style.textContent = DEFAULT_STYLES;
+  document.head.insertBefore(style, document.head.firstChild);
+}
+
+function buildLabel(template, station, stationKey) {
+  const title = station.title || stationKey;
+  const meta = station.category || '';
+  let el;
+  if (template) {
+    el = template.content.firstElementChild.cloneNode(true);
+    const titleEl = el.querySelector('[data-map-label-title]');
+    const metaEl = el.querySelector('[data-map-label-meta]');
+    if (titleEl) titleEl.textContent = title; else el.textContent = title;
+    if (metaEl) metaEl.textContent = meta;
+  } else {
+    el = document.createElement('div');
+    el.className = 'map3d-label';
+    const titleEl = document.createElement('span');
+    titleEl.className = 'map3d-label__title';
+    titleEl.textContent = title;
+    const metaEl = document.createElement('span');
+    metaEl.className = 'map3d-label__meta';
+    metaEl.textContent = meta;
+    el.append(titleEl, metaEl);
+  }
+  return el;
+}
+
+function setFlag(el, name, on) {
+  if (el.hasAttribute(name) !== on) el.toggleAttribute(name, on);
+}
+
+export function attachStationLabels(loader) {
+  if (!loader) return;
+  if (loader.stationLabelsAttached) {
+    console.log('♻️ attachStationLabels: already attached');
+    return;
+  }
+
+  // (Re)build one label per station after setupInteractiveObjects()
+  loader.refreshStationLabels = function refreshStationLabels() {
+    const cfg = this.config.ui?.stationLabels || {};
+    if (cfg.mode === 'off' || !this.container) return;
+    this.disposeStationLabels();
+
+    const groups = new Map(); // modalId -> { station, stationKey, metas: [] }
+    (this.interactiveObjects || []).forEach(meta => {
+      if (!groups.has(meta.modalId)) {
+        groups.set(meta.modalId, { station: meta.station || {}, stationKey: meta.stationKey, metas: [] });
+      }
+      groups.get(meta.modalId).metas.push(meta);
+    });
+    if (!groups.size) return;
+
+    const template = this.container.querySelector('template[data-map-label-template]');
+    if (!template) injectDefaultStyles();
+    const layer = document.createElement('div');
+    layer.className = 'map3d-labels';
+    // Names are exposed to assistive tech by the keyboard station list
+    layer.setAttribute('aria-hidden', 'true');
+
+    if (this.model) this.model.updateMatrixWorld(true); // centerModel() may have moved it
+    const labels = [];
+    groups.forEach((group, modalId) => {
+      // Anchor at the top-centre of the station's combined bounds (the model is static)
+      const box = new THREE.Box3();
+      group.metas.forEach(m => box.expandByObject(m.object));
+      const center = box.getCenter(new THREE.Vector3());
+      const el = buildLabel(template, group.station, group.stationKey);
+      el.dataset.modalId = modalId;
+      layer.appendChild(el);
+      labels.push({
+        el,
+        metas: group.metas,
+        objects: new Set(group.metas.flatMap(m => { const all = []; m.object.traverse(o => all.push(o)); return all; })),
+        anchor: new THREE.Vector3(center.x, box.max.y, center.z),
+        occluded: false,
+        x: null,
+        y: null
+      });
+    });
+
+    this.container.appendChild(layer);
+    this._stationLabels = { layer, labels, nextOcclusionCheck: 0, occlusionIndex: 0, projected: new THREE.Vector3() };
+    // With render on demand no frames follow a settled camera: check every label once more
+    this._stationLabels.onMoveEnd = () => {
+      if (!this._stationLabels) return;
+      this._stationLabels.fullOcclusionPass = true;
+      this._stationLabels.nextOcclusionCheck = 0;
+      this.invalidate && this.invalidate();
+    };
+    this.on('cameramoveend', this._stationLabels.onMoveEnd);
+    this.invalidate && this.invalidate(); // labels are positioned during the next frame
+    console.log(`🏷️ (module) ${labels.length} station labels created (${cfg.mode || 'hover'} mode)`);
+  };
+
+  // Runs every frame (frame task 'station-labels'): project anchors, toggle visibility, clamp and mark occlusion
+  loader.updateStationLabels = function updateStationLabels() {
+    const state = this._stationLabels;
+    if (!state || !this.camera || !this.renderer) return;
+    const cfg = this.config.ui?.stationLabels || {};
+    const always = cfg.mode === 'always';
+    const canvas = this.renderer.domElement;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const now = performance.now();
+
+    if (cfg.occlusion !== false && now >= state.nextOcclusionCheck) {
+      this._checkLabelOcclusion(state, always);
+      state.nextOcclusionCheck = now + OCCLUSION_INTERVAL_MS;
+    }
+
+    const v = state.projected;
+    state.labels.forEach(label => {
+      const visible = always || label.metas.some(m => m.highlighted);
+      setFlag(label.el, 'data-visible', visible);
+      if (!visible) return;
+
+      v.copy(label.anchor).project(this.camera);
+      const behind = v.z > 1;
+      // Behind the camera the projection mirrors; flip so clamping points the right way
+      let x = (behind ? -v.x : v.x) * 0.5 + 0.5;
+      let y = (behind ? v.y : -v.y) * 0.5 + 0.5;
+      x *= width;
+      y *= height;
+      const offscreen = behind || x < 0 || x > width || y < 0 || y > height;
+      if (offscreen && cfg.clampToEdges === false) {
+        setFlag(label.el, 'data-visible', false);
+        return;
+      }
+      if (offscreen) {
+        x = Math.min(Math.max(x, EDGE_MARGIN), width - EDGE_MARGIN);
+        y = Math.min(Math.max(y, EDGE_MARGIN), height - EDGE_MARGIN);
+      }
+      setFlag(label.el, 'data-offscreen', offscreen);
+      setFlag(label.el, 'data-occluded', label.occluded && !offscreen);
+
+      x = Math.round(x);
+      y = Math.round(y);
+      if (x === label.x && y === label.y) return;
+      label.x = x;
+      label.y = y;
+      // Clamped labels stay inside the canvas; on-screen ones sit centred above their anchor
+      const shiftX = offscreen ? (x <= EDGE_MARGIN ? '0%' : x >= width - EDGE_MARGIN ? '-100%' : '-50%') : '-50%';
+      const shiftY = offscreen ? (y <= EDGE_MARGIN ? '0%' : y >= height - EDGE_MARGIN ? '-100%' : '-50%') : '-100%';
+      label.el.style.transform = `translate3d(${x}px, ${y}px, 0) translate(${shiftX}, ${shiftY})`;
+    });
+  };
+
+  // Raycast camera -> anchor for a few labels per interval; anything else in front hides it
+  loader._checkLabelOcclusion = function checkLabelOcclusion(state, always) {
+    if (!this.model) return;
+    const candidates = always ? state.labels : state.labels.filter(l => l.metas.some(m => m.highlighted));
+    if (!candidates.length) return;
+    const raycaster = this._labelRaycaster || (this._labelRaycaster = new THREE.Raycaster());
+    const batch = state.fullOcclusionPass ? candidates.length : Math.min(candidates.length, 4);
+    state.fullOcclusionPass = false;
+    for (let i = 0; i < batch; i++) {
+      const label = candidates[(state.occlusionIndex + i) % candidates.length];
+      const origin = this.camera.position;
+      const direction = label.anchor.clone().sub(origin);
+      const distance = direction.length();
+      raycaster.set(origin, direction.normalize());
+      raycaster.far = distance;
+      const hit = raycaster.intersectObject(this.model, true).find(h => h.object.visible);
+      label.occluded = !!hit && !label.objects.has(hit.object) && hit.distance < distance * 0.98;
+    }
+    state.occlusionIndex = (state.occlusionIndex + batch) % candidates.length;
+  };
+
+  loader.disposeStationLabels = function disposeStationLabels() {
+    const state = this._stationLabels;
+    if (!state) return;
+    this.off('cameramoveend', state.onMoveEnd);
+    state.layer.remove();
+    this._stationLabels = null;
+  };
+
+  loader.addFrameTask('station-labels', () => { loader.updateStationLabels(); }, { priority: 'overlay' });
+  loader.stationLabelsAttached = true;
+  console.log('🧩 attachStationLabels(loader) attached');
+}
+
+window.attachStationLabels = attachStationLabels;
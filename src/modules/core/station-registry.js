@@ -0,0 +1,121 @@
+// Station Registry Module
+// Provides: loader.buildStationRegistry(), loader.getStation(), loader.getStationObject()
+// Stations come from config.stations and from Webflow CMS markup, e.g.
+//   <div data-station-mesh="Station05" data-station-modal="station-5-zolli"
+//        data-station-title="Zolli" data-station-category="Kultur" data-station-address="..."
+//        data-station-camera="12,20,40" data-station-target="5,0,10"
+//        data-station-hotspot="42.5,61"></div>
+// (camera/target optionally override the fly-to viewpoint; hotspot places the station on the
+// static map image, in % of its width and height)
+// CMS entries override config entries with the same mesh name. Each map only reads entries inside
+// its own container, or inside the element named by the container's data-map-stations selector
+// (e.g. a Collection List next to the map), so maps on one page never share stations.
+
+// Accepts { position: [x,y,z], target: [x,y,z] } or CMS strings "x,y,z"
+function parseVector(value) {
+  const v = Array.isArray(value) ? value : String(value || '').split(',').map(n => parseFloat(n));
+  return v.length === 3 && v.every(n => Number.isFinite(n)) ? v : null;
+}
+
+// Accepts [x, y] or "x,y" percentages within 0–100
+function parseHotspot(value) {
+  if (!value) return null;
+  const v = Array.isArray(value) ? value : String(value).split(',').map(n => parseFloat(n));
+  return v.length === 2 && v.every(n => Number.isFinite(n) && n >= 0 && n <= 100) ? v : null;
+}
+
+function normalizeViewpoint(viewpoint) {
+  if (!viewpoint) return null;
+  const position = parseVector(viewpoint.position);
+  const target = parseVector(viewpoint.target);
+  return position && target ? { position, target } : null;
+}
+
+function normalizeStation(raw, source) {
+  if (!raw) return null;
+  const mesh = (raw.mesh || raw.key || '').trim();
+  const modalId = (raw.modalId || raw.modal || '').trim();
+  if (!mesh || !modalId) return null;
+  return {
+    mesh,
+    modalId,
+    title: raw.title || '',
+    category: raw.category || '',
+    address: raw.address || '',
+    viewpoint: normalizeViewpoint(raw.viewpoint),
+    hotspot: parseHotspot(raw.hotspot),
+    source
+  };
+}
+
+function readStationFromElement(el) {
+  const ds = el.dataset;
+  const heading = el.querySelector('[data-station-title], h1, h2, h3, h4');
+  return normalizeStation({
+    mesh: ds.stationMesh,
+    modalId: ds.stationModal,
+    title: ds.stationTitle || (heading ? heading.textContent.trim() : ''),
+    category: ds.stationCategory,
+    // maps-code.js accepts the historic misspelling too
+    address: ds.stationAddress || ds.stationAdress,
+    viewpoint: ds.stationCamera ? { position: ds.stationCamera, target: ds.stationTarget } : null,
+    hotspot: ds.stationHotspot
+  }, 'cms');
+}
+
+export function attachStationRegistry(loader) {
+  if (!loader) return;
+  if (loader.stationRegistryAttached) {
+    console.log('♻️ attachStationRegistry: already attached');
+    return;
+  }
+
+  loader.buildStationRegistry = function buildStationRegistry() {
+    const byMesh = new Map();
+    const invalid = [];
+
+    (this.config.stations || []).forEach((raw, i) => {
+      const station = normalizeStation(raw, 'config');
+      if (station) byMesh.set(station.mesh.toLowerCase(), station);
+      else invalid.push(`config.stations[${i}]`);
+    });
+
+    const rootSelector = this.container && this.container.dataset.mapStations;
+    const root = rootSelector ? document.querySelector(rootSelector) : this.container;
+    if (rootSelector && !root) console.warn(`⚠️ (module) data-map-stations '${rootSelector}' matches no element`);
+    (root ? root.querySelectorAll('[data-station-mesh]') : []).forEach(el => {
+      const station = readStationFromElement(el);
+      if (station) byMesh.set(station.mesh.toLowerCase(), station);
+      else invalid.push(el.dataset.stationMesh || '(unnamed CMS item)');
+    });
+
+    if (invalid.length) {
+      console.warn('⚠️ (module) Station entries without mesh or modal id ignored:', invalid);
+    }
+
+    this.stations = Array.from(byMesh.values());
+    // Legacy view consumed by debug panels: { meshName: modalId }
+    this.stationMapping = {};
+    this.stations.forEach(s => { this.stationMapping[s.mesh] = s.modalId; });
+    console.log(`🗂️ (module) Station registry built: ${this.stations.length} stations`);
+    return this.stations;
+  };
+
+  loader.getStation = function getStation(keyOrModalId) {
+    if (!keyOrModalId || !this.stations) return null;
+    const needle = String(keyOrModalId).toLowerCase();
+    return this.stations.find(s => s.mesh.toLowerCase() === needle || s.modalId.toLowerCase() === needle) || null;
+  };
+
+  // Interactive mesh entry (from setupInteractiveObjects) for a mesh name or modal id
+  loader.getStationObject = function getStationObject(keyOrModalId) {
+    const station = this.getStation(keyOrModalId);
+    if (!station || !Array.isArray(this.interactiveObjects)) return null;
+    return this.interactiveObjects.find(m => m.modalId === station.modalId) || null;
+  };
+
+  loader.stationRegistryAttached = true;
+  console.log('🧩 attachStationRegistry(loader) attached');
+}
+
+window.attachStationRegistry = attachStationRegistry;
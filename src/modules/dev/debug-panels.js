@@ -16,6 +16,7 @@ export function attachDebugPanels(loader) {
     }
     // Lightweight inline (defer full implementation until old file removed)
     loader.debugPanelsEnabled = true;
+    loader.invalidate && loader.invalidate(); // live camera info needs a continuous loop
     console.log('🧩 (Stub) Debug panels module attached - using legacy implementation file if present');
   } catch (e) {
     console.warn('Failed to attach (stub) debug panels:', e);
@@ -0,0 +1,142 @@
+// Shared Config Validation (used by the loader, the Vite config endpoints and the testing suite)
+// Provides: validateConfig(), migrateConfig(), prepareConfig(), registerMigration()
+// Pure ES module with no DOM or Three.js dependencies so it also runs under Node.
+
+export const CURRENT_CONFIG_VERSION = '1.1.0';
+
+const migrations = [];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Register a step that upgrades a config from one format version to the next.
+// migrate(config) receives a deep copy and returns the upgraded config.
+export function registerMigration(from, to, migrate, description = '') {
+  if (compareVersions(to, from) <= 0) {
+    throw new Error(`Migration ${from} -> ${to} must move to a newer version`);
+  }
+  migrations.push({ from, to, migrate, description });
+  migrations.sort((a, b) => compareVersions(a.from, b.from));
+}
+
+// 1.0.0 -> 1.1.0: distance limits moved from camera to the controls section
+registerMigration('1.0.0', '1.1.0', (config) => {
+  const camera = config.camera || {};
+  const controls = { ...(config.controls || {}) };
+  if (controls.minDistance === undefined && camera.minDistance !== undefined) controls.minDistance = camera.minDistance;
+  if (controls.maxDistance === undefined && camera.maxDistance !== undefined) controls.maxDistance = camera.maxDistance;
+  if (Object.keys(controls).length) config.controls = controls;
+  return config;
+}, 'Copy camera distance limits into controls');
+
+// Upgrade through registered steps until CURRENT_CONFIG_VERSION (or no step applies)
+export function migrateConfig(config) {
+  if (!isPlainObject(config)) {
+    return { config, from: null, to: null, applied: [] };
+  }
+  let current = JSON.parse(JSON.stringify(config));
+  const from = current.version || '1.0.0';
+  let version = from;
+  const applied = [];
+  while (compareVersions(version, CURRENT_CONFIG_VERSION) < 0) {
+    const step = migrations.find(m => compareVersions(m.from, version) === 0);
+    if (!step) break;
+    current = step.migrate(current) || current;
+    current.version = step.to;
+    applied.push(`${step.from} -> ${step.to}`);
+    version = step.to;
+  }
+  return { config: current, from, to: version, applied };
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Minimal JSON Schema (draft-07 subset) covering the keywords 3d-config-schema.json uses.
+// Returns [{ path, message }] with dotted paths such as 'camera.position[2]'.
+export function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+  const at = path || '(root)';
+  const push = (message, where = at) => errors.push({ path: where, message });
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = expected.some(t => t === actual || (t === 'integer' && Number.isInteger(value)));
+    if (!matches) {
+      push(`expected ${expected.join('|')}, got ${actual}`);
+      return errors; // nested checks are meaningless on the wrong type
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) push(`must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) push(`must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) push(`must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    push(`does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) push(`needs at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) push(`allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (isPlainObject(value)) {
+    const prefix = path ? `${path}.` : '';
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) push('is required', `${prefix}${key}`);
+    });
+    const props = schema.properties || {};
+    Object.keys(props).forEach(key => {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], props[key], `${prefix}${key}`));
+    });
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      Object.keys(value).filter(key => !props[key]).forEach(key => {
+        errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, `${prefix}${key}`));
+      });
+    }
+  }
+  return errors;
+}
+
+export function validateConfig(config, schema) {
+  const errors = validateAgainstSchema(config, schema);
+  if (isPlainObject(config) && config.version && compareVersions(config.version, CURRENT_CONFIG_VERSION) > 0) {
+    errors.push({ path: 'version', message: `is newer than supported ${CURRENT_CONFIG_VERSION}` });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// Migrate then validate; the shape every consumer needs
+export function prepareConfig(config, schema) {
+  const { config: migrated, ...migration } = migrateConfig(config);
+  const { valid, errors } = validateConfig(migrated, schema);
+  return { config: migrated, valid, errors, migration };
+}
+
+export function formatConfigErrors(errors) {
+  return (errors || []).map(e => `${e.path}: ${e.message}`).join('\n');
+}
+
+if (typeof window !== 'undefined') {
+  window.Simple3DConfigValidation = {
+    CURRENT_CONFIG_VERSION, registerMigration, migrateConfig, validateConfig, prepareConfig, formatConfigErrors
+  };
+}
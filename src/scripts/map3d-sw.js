@@ -0,0 +1,160 @@
+// Map Service Worker (opt-in, config.offline)
+// Registered by the offline module (src/modules/core/offline.js) once the map is ready.
+//   - precache: the loader, src/modules/core, the Three.js bundle and its decoders, the models
+//     and the config. The list and the cache version are stamped in at deploy by
+//     scripts/copy-static.js; a new deployment installs a new worker, which takes over once every
+//     tab running the old one has closed, so loader and modules never mix versions.
+//   - station assets: images, backgrounds and inline HTML the page reports after
+//     lazyLoadModalAssets() has revealed a modal (videos keep streaming and are not cached)
+//   - page shell: navigations network-first, stylesheets / scripts / fonts from this origin or the
+//     deployment stale-while-revalidate; third-party requests are left alone
+// The station and page caches are capped, oldest entries first out.
+// Assets are resolved against ?assets= (the deployment's origin), so a copy of this file served
+// from the Webflow domain still precaches from the deployment.
+
+const CACHE_VERSION = '__MAP3D_CACHE_VERSION__';
+const PRECACHE_MANIFEST = '__MAP3D_PRECACHE__';
+const PRECACHE = Array.isArray(PRECACHE_MANIFEST) ? PRECACHE_MANIFEST : [];
+
+const PRECACHE_PREFIX = 'map3d-precache-';
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${CACHE_VERSION}`;
+const STATIONS_CACHE = 'map3d-stations';
+const PAGES_CACHE = 'map3d-pages';
+const MAX_STATION_ENTRIES = 200;
+const MAX_PAGE_ENTRIES = 60;
+const NAVIGATION_TIMEOUT_MS = 4000;
+
+const ASSET_ORIGIN = new URL(self.location.href).searchParams.get('assets') || self.location.origin;
+const precacheUrls = new Set(PRECACHE.map(path => new URL(path, `${ASSET_ORIGIN}/`).href));
+const shellOrigins = new Set([self.location.origin, new URL(ASSET_ORIGIN).origin]);
+
+// Precache keys have no query: retries (?attempt=2) and cache-busting still hit them
+function withoutSearch(url) {
+  const clean = new URL(url);
+  clean.search = '';
+  return clean.href;
+}
+
+async function precache() {
+  const cache = await caches.open(PRECACHE_NAME);
+  const results = await Promise.allSettled(Array.from(precacheUrls, async (url) => {
+    const response = await fetch(new Request(url, { mode: 'cors', credentials: 'omit', cache: 'no-cache' }));
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    await cache.put(url, response);
+  }));
+  // One missing file must not keep the rest of the map from working offline
+  const failed = results.filter(r => r.status === 'rejected');
+  failed.forEach(r => console.warn('⚠️ (sw) Precache failed:', r.reason.message));
+  console.log(`📦 (sw) Precached ${results.length - failed.length}/${results.length} map files (${CACHE_VERSION})`);
+}
+
+// Keys come back in insertion order
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+async function putCapped(cacheName, maxEntries, request, response) {
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  await trimCache(cacheName, maxEntries);
+}
+
+// An opaque entry answers no-cors requests only: a CORS fetch() treats it as a network error
+async function cacheFirst(request, cacheName, options) {
+  const cached = await caches.match(request, { cacheName, ...options });
+  if (cached && (cached.type !== 'opaque' || request.mode === 'no-cors')) return cached;
+  return fetch(request);
+}
+
+// The page asked for a fresh copy (the config is fetched with cache: 'no-cache')
+async function networkFirst(request, cacheName, { timeoutMs = 0, ...options } = {}) {
+  try {
+    const network = fetch(request);
+    const response = await (timeoutMs
+      ? Promise.race([network, new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), timeoutMs))])
+      : network);
+    if (response.ok && cacheName === PAGES_CACHE) {
+      putCapped(PAGES_CACHE, MAX_PAGE_ENTRIES, request, response.clone()).catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName, ...options });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) return putCapped(cacheName, MAX_PAGE_ENTRIES, request, response.clone()).then(() => response);
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+// urls are requested no-cors by the page (images without crossorigin, backgrounds); corsUrls
+// are fetch()ed by it (inline HTML) and are only cached when the server allows CORS
+async function cacheStationAssets(urls, corsUrls) {
+  const cache = await caches.open(STATIONS_CACHE);
+  const requests = [
+    ...urls.map(url => ({ url, mode: new URL(url).origin === self.location.origin ? 'same-origin' : 'no-cors' })),
+    ...corsUrls.map(url => ({ url, mode: 'cors' }))
+  ];
+  await Promise.allSettled(requests.map(async ({ url, mode }) => {
+    if (await cache.match(url)) return;
+    const response = await fetch(url, { mode });
+    if (response.ok || (mode === 'no-cors' && response.type === 'opaque')) await cache.put(url, response);
+  }));
+  await trimCache(STATIONS_CACHE, MAX_STATION_ENTRIES);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME)
+      .map(name => caches.delete(name)));
+    // The page that registered the worker gets offline support without a reload
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'map3d:cache-station-assets' && Array.isArray(data.urls)) {
+    event.waitUntil(cacheStationAssets(data.urls, Array.isArray(data.corsUrls) ? data.corsUrls : []));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, PAGES_CACHE, { timeoutMs: NAVIGATION_TIMEOUT_MS }));
+    return;
+  }
+  if (precacheUrls.has(withoutSearch(request.url))) {
+    const strategy = request.cache === 'no-cache' || request.cache === 'no-store' ? networkFirst : cacheFirst;
+    event.respondWith(strategy(request, PRECACHE_NAME, { ignoreSearch: true }));
+    return;
+  }
+  if (['style', 'script', 'font'].includes(request.destination)) {
+    if (shellOrigins.has(new URL(request.url).origin)) event.respondWith(staleWhileRevalidate(event, PAGES_CACHE));
+    return;
+  }
+  // Video range requests go straight to the network
+  if (request.headers.has('range')) return;
+  event.respondWith(cacheFirst(request, STATIONS_CACHE));
+});
@@ -19,18 +19,81 @@
 // Set to false to revert to localhost-first behavior
 const WEBFLOW_USE_PRODUCTION_MODE = true;
 
+// Public events dispatched on the container as `map3d:<name>` CustomEvents (bubbling)
+const MAP_EVENTS = Object.freeze({
+  PROGRESS: 'progress',               // { loaded, total, percent, url, fallback }
+  MODEL_LOADED: 'modelloaded',        // { model, url, level, final } (once per level of detail)
+  READY: 'ready',                     // { configSource, degraded }
+  STATION_HOVER: 'stationhover',      // { station, stationKey, modalId }
+  STATION_HOVER_OUT: 'stationhoverout',
+  STATION_CLICK: 'stationclick',      // cancelable: preventDefault() skips the modal
+  CAMERA_MOVE_END: 'cameramoveend',   // { position, target }
+  QUALITY_CHANGE: 'qualitychange',    // { tier, previous, reason, fps }
+  CONTEXT_LOST: 'contextlost',        // { losses }
+  CONTEXT_RESTORED: 'contextrestored', // { rebuilt }
+  ERROR: 'error'                      // { error, stage, fatal }
+});
+const MAP_EVENT_PREFIX = 'map3d:';
+
+// Frame task priorities for addFrameTask() (lower runs first); tasks at RENDER or above run
+// after the draw call. Modules may pass the lowercase name instead of the number.
+const FRAME_PRIORITY = Object.freeze({
+  INPUT: 0,        // controls
+  ANIMATION: 100,  // camera tweens, fades
+  SCENE: 200,      // per-frame scene updates (billboards, hover glow)
+  OVERLAY: 300,    // DOM overlays, camera bookkeeping
+  RENDER: 500,
+  MEASURE: 600     // frame-rate sampling
+});
+
+// The pinned Three.js renders with WebGL 2 only. Probes a throwaway canvas and returns null when
+// a context can be created, else the reason (no API, or blocked/disabled by the browser or GPU).
+function detectWebGL() {
+  if (typeof WebGL2RenderingContext === 'undefined') return 'webgl2-unsupported';
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    if (!gl) return 'webgl2-unavailable';
+    // Browsers cap live contexts per page: release the probe right away
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+    return null;
+  } catch (e) {
+    return 'webgl2-error';
+  }
+}
+
+// Containers picked up by auto-initialization (and by init() when no container was given)
+const DEFAULT_CONTAINER_SELECTOR = '#webgl-container, .webgl-container, [data-webgl-container]';
+
+// Mounted loaders by container element, so mount() on the same element is idempotent
+const mountedInstances = new WeakMap();
+
+// Self-hosted Three.js (src/vendor/three.js). Production loads the Vite-built bundle
+// vendor/three-<version>.js; the deploy step (scripts/copy-static.js) replaces the placeholders
+// below with the pinned three version and the bundle's SRI hash. Unstamped copies (dev server)
+// load the source entry without integrity.
+const THREE_BUNDLE = Object.freeze({
+  version: '__THREE_VERSION__',
+  integrity: '__THREE_BUNDLE_INTEGRITY__',
+  sourcePath: 'src/vendor/three.js'
+});
+
+// Page-wide loads shared by every instance (module scripts, Three.js)
+const moduleScriptLoads = new Map();
+let threeLoadAttempt = null;
+let threeLoadCount = 0;
+
 class Simple3DLoader {
-  constructor() {
+  // One loader per container. options: { config, configUrl, modelUrl, layout, autoInit = true }
+  constructor(container = null, options = {}) {
     // Inject CSS immediately to prevent any flash
     this.injectAntiFlashCSS();
-    
-    // Store global reference for module access
-    window.simple3DLoaderInstance = this;
 
+    this.options = options || {};
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.container = null;
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
     this.model = null;
     this.controls = null;
 
@@ -40,7 +103,16 @@ class Simple3DLoader {
     this.isDevelopment = this.detectDevelopmentMode();
     this.lastDebugUpdate = 0;
     this.pauseRendering = false;
-    this.loadingState = 'loading'; // 'loading', 'loaded', 'error'
+    this._frameHandle = null;   // pending requestAnimationFrame id (render on demand)
+    this._pendingFrames = 0;    // frames still owed to invalidate() callers
+    this._pauseReasons = new Set(); // see suspendRendering()
+    this._frameTasks = [];      // see addFrameTask()
+    this._frameStats = { frames: 0, frameMs: 0, renderMs: 0 };
+    this._frameChained = false; // the current frame was requested by the previous one (see renderFrame())
+    this._chainNextFrame = false;
+    this._contextLoss = { losses: 0, rebuilds: 0, timer: null }; // see onContextLost()
+    this._registerCoreFrameTasks();
+    this.loadingState = 'loading'; // 'loading', 'loaded', 'degraded', 'error'
     this.debugPanelsEnabled = false;
 
     // (Phase 2 Cleanup) Legacy POI mapping system removed
@@ -48,19 +120,9 @@ class Simple3DLoader {
     // =====================================================================
     // Phase 3: New Interactive Station System (Skeleton Implementation)
     // =====================================================================
-    // Mapping of model object names to modal trigger IDs
-    this.stationMapping = {
-      'Station01': 'station-1-goethestr-45',
-      'Station02': 'station-2-afz-theo',
-      'Station03': 'station-3-rueckenwind',
-      'Station04': 'station-4-beet',
-      'Station05': 'station-5-zolli',
-      'Station06': 'station-6-starthaus',
-      'Station07': 'station-7-studierendenhaus-h34',
-      'Station08': 'station-8-quartiersmeisterei-lehe',
-      'Station09': 'station-9-kulturbahnhof-lehe',
-      'Station10': 'station-10-goethestrasse-60'
-    };
+    // Station registry (config.stations + Webflow CMS [data-station-mesh] items), built in setupInteractiveObjects
+    this.stations = [];
+    this.stationMapping = {}; // { meshName: modalId } view kept for debug panels
 
     // Interaction system core properties (populated in Phase 4)
     this.interactiveObjects = []; // Array of THREE.Object3D that can be interacted with
@@ -71,9 +133,9 @@ class Simple3DLoader {
     this.mouse = null; // Normalized device coordinates vector
     this.interactionSystemInitialized = false;
     
-    // Default configuration based on your 3d-config.json
-    this.config = {
-      "version": "1.0.0",
+    // Built-in defaults; runtime config (3d-config.json / container attributes) is merged over these
+    this.defaultConfig = {
+      "version": "1.1.0",
       "camera": {
         "position": [10.3, 1.2, 85.4],
         "target": [-14.0, -61.5, 33.4],
@@ -101,7 +163,14 @@ class Simple3DLoader {
         }
       },
       "models": {
-        "primary": "goetheviertel"
+        "primary": "goetheviertel",
+        "levels": [],
+        "cache": {
+          "enabled": true,
+          "version": "",
+          "revalidateAfterHours": 24,
+          "maxEntries": 4
+        }
       },
       "animations": {
         "welcomeAnimation": {
@@ -118,21 +187,94 @@ class Simple3DLoader {
         "qualityLevel": "high",
         "targetFPS": 60,
         "enableAntialiasing": true,
-        "pixelRatio": 1
+        "pixelRatio": 1,
+        "adaptiveQuality": {
+          "enabled": true,
+          "sampleWindowMs": 2000,
+          "downgradeRatio": 0.85,
+          "upgradeRatio": 0.95
+        },
+        "renderOnDemand": true,
+        "pauseWhenObscured": {
+          "offscreen": true,
+          "modal": true,
+          "rootMargin": "0px"
+        },
+        "contextLoss": {
+          "restoreTimeoutMs": 3000,
+          "maxRebuilds": 2
+        },
+        "lod": {
+          "enabled": true,
+          "distances": [100, 160],
+          "cullDistance": 0,
+          "shadowDistance": 140,
+          "shadowMinSize": 1.5
+        },
+        "meshOptimization": {
+          "enabled": false,
+          "instancing": true,
+          "merge": true,
+          "minInstances": 3
+        }
       },
       "ui": {
         "showLoadingProgress": true,
         "enableControls": true,
         "enableZoom": true,
         "enableRotate": true,
-        "enablePan": true
+        "enablePan": true,
+        "layout": "embedded",
+        "stationLabels": {
+          "mode": "hover",
+          "occlusion": true,
+          "clampToEdges": true
+        },
+        "staticMap": {
+          "image": "static-map.webp",
+          "video": "",
+          "alt": "Map of the stations"
+        }
       },
       "accessibility": {
         "respectMotionPreference": true,
+        "reducedMotionCrossfade": 150,
         "keyboardControls": true,
         "ariaLabels": true
-      }
+      },
+      "interaction": {
+        "flyToStation": {
+          "enabled": false,
+          "duration": 1200,
+          "easing": "easeInOut",
+          "framing": 3,
+          "returnOnClose": true
+        },
+        "deepLinking": {
+          "enabled": true,
+          "history": "replace"
+        }
+      },
+      "offline": {
+        "enabled": false,
+        "serviceWorkerUrl": "",
+        "scope": "/"
+      },
+      "stations": [
+        { "mesh": "Station01", "modalId": "station-1-goethestr-45", "title": "Goethestraße 45", "hotspot": [11.5, 59.1] },
+        { "mesh": "Station02", "modalId": "station-2-afz-theo", "title": "AFZ Theo", "hotspot": [45.7, 44.5] },
+        { "mesh": "Station03", "modalId": "station-3-rueckenwind", "title": "Rückenwind", "hotspot": [56.2, 36.5] },
+        { "mesh": "Station04", "modalId": "station-4-beet", "title": "Beet", "hotspot": [51.8, 28.9] },
+        { "mesh": "Station05", "modalId": "station-5-zolli", "title": "Zolli", "hotspot": [47.8, 29.1] },
+        { "mesh": "Station06", "modalId": "station-6-starthaus", "title": "Starthaus", "hotspot": [59.1, 27.4] },
+        { "mesh": "Station07", "modalId": "station-7-studierendenhaus-h34", "title": "Studierendenhaus H34", "hotspot": [73.8, 55] },
+        { "mesh": "Station08", "modalId": "station-8-quartiersmeisterei-lehe", "title": "Quartiersmeisterei Lehe", "hotspot": [78.7, 48.2] },
+        { "mesh": "Station09", "modalId": "station-9-kulturbahnhof-lehe", "title": "Kulturbahnhof Lehe", "hotspot": [78.9, 38.7] },
+        { "mesh": "Station10", "modalId": "station-10-goethestrasse-60", "title": "Goethestraße 60", "hotspot": [85.3, 26.6] }
+      ]
     };
+    this.config = JSON.parse(JSON.stringify(this.defaultConfig));
+    this.configSource = 'defaults';
     
     // Model URL - environment-aware with fallback
     this.modelUrls = {
@@ -140,8 +282,28 @@ class Simple3DLoader {
       production: 'https://webflow-gunther-map.vercel.app/Goetheviertel_250919_with_flags_webp80.glb'
     };
     this.modelUrl = this.isDevelopment ? this.modelUrls.local : this.modelUrls.production;
-    
-    this.init();
+    if (this.options.modelUrl) {
+      this.modelUrls = { local: this.options.modelUrl, production: this.options.modelUrl };
+      this.modelUrl = this.options.modelUrl;
+    }
+
+    if (this.container) mountedInstances.set(this.container, this);
+    if (this.options.autoInit !== false) this.init();
+  }
+
+  // Create (or return the existing) loader for a container element or selector
+  static mount(el, options = {}) {
+    const container = typeof el === 'string' ? document.querySelector(el) : el;
+    if (!container) {
+      console.error('❌ Simple3DLoader.mount: container not found:', el);
+      return null;
+    }
+    return mountedInstances.get(container) || new Simple3DLoader(container, options);
+  }
+
+  static getInstance(el) {
+    const container = typeof el === 'string' ? document.querySelector(el) : el;
+    return (container && mountedInstances.get(container)) || null;
   }
 
   detectDevelopmentMode() {
@@ -161,8 +323,10 @@ class Simple3DLoader {
   }
 
   injectAntiFlashCSS() {
+    if (document.getElementById('map3d-anti-flash')) return; // shared by all instances
     // Create and inject CSS to prevent any white flash
     const style = document.createElement('style');
+    style.id = 'map3d-anti-flash';
     style.textContent = `
       #webgl-container,
       .webgl-container,
@@ -177,23 +341,25 @@ class Simple3DLoader {
 
   async init() {
     try {
-      // Find the container element
-      this.container = document.querySelector('#webgl-container') ||
-                       document.querySelector('.webgl-container') ||
-                       document.querySelector('[data-webgl-container]');
-
-      if (!this.container) {
-        console.error('WebGL container not found! Looking for #webgl-container');
-        return;
-      }
+      // Use the container given to the constructor, else the page's default container
+      if (!this.resolveContainer()) return;
 
       console.log('✅ Container found:', this.container);
 
-      // Apply initial styling to prevent gradient flash
+      // Resolve runtime configuration before anything reads this.config
+      // (the anti-flash CSS already colours the container meanwhile)
+      await this.loadRuntimeConfig();
+
+      // Apply initial styling (layout mode comes from the resolved config)
       this.applyInitialStyling();
+      this.setupMotionPolicy();
+      this.initLoadingProgress(); // not awaited: overlay must not delay Three.js
+
+      // Devices without WebGL get the static map before any Three.js download
+      if (!(await this.ensureWebGL())) return;
 
-      // Load Three.js then ensure core modules (or fallbacks) are ready
-      await this.loadThreeJS();
+      // Load Three.js then ensure core modules are ready (false: static map shown instead)
+      if (!(await this.loadThreeJS())) return;
       await this.ensureCoreModules();
 
       // Setup Three.js scene
@@ -204,6 +370,7 @@ class Simple3DLoader {
 
       // Setup controls
       this.setupControls();
+      this.setupKeyboardAccess && this.setupKeyboardAccess();
 
       // Handle window resize and visibility changes
       this.setupEventListeners();
@@ -211,8 +378,8 @@ class Simple3DLoader {
       // Start render loop
       this.animate();
 
-      // Play welcome animation if enabled
-      if (this.config.animations.welcomeAnimation.enabled) {
+      // A shared link (#station= / ?cam=) replaces the welcome animation
+      if (!this.startFromDeepLink() && this.config.animations.welcomeAnimation.enabled) {
         this.playWelcomeAnimation();
       }
 
@@ -224,7 +391,88 @@ class Simple3DLoader {
 
     } catch (error) {
       console.error('❌ Error initializing 3D scene:', error);
+      // No renderer means no WebGL context (or missing core modules): fall back to the static map
+      if (!this.renderer) {
+        await this.enterDegradedMode(error, 'init');
+        return;
+      }
       this.loadingState = 'error';
+      this.reportError(error, 'init');
+    }
+  }
+
+  resolveContainer() {
+    if (!this.container) {
+      this.container = Array.from(document.querySelectorAll(DEFAULT_CONTAINER_SELECTOR))
+        .find(el => !mountedInstances.has(el)) || null;
+    }
+    if (!this.container) {
+      console.error('WebGL container not found! Looking for #webgl-container');
+      return null;
+    }
+    mountedInstances.set(this.container, this);
+    return this.container;
+  }
+
+  // Apply a #station= / ?cam= link if present; returns true when it takes over the intro
+  startFromDeepLink() {
+    if (typeof this.readDeepLink !== 'function') return false;
+    const link = this.readDeepLink();
+    if (!link) return false;
+    this.applyDeepLink(link).catch(err => console.warn('⚠️ Deep link could not be applied:', err.message));
+    return true;
+  }
+
+  // Central motion policy: OS prefers-reduced-motion, gated by config.accessibility.respectMotionPreference.
+  // Everything that animates reads this.reducedMotion; live OS changes re-apply it.
+  setupMotionPolicy() {
+    if (this._motionQuery || typeof window.matchMedia !== 'function') {
+      this.applyMotionPolicy();
+      return;
+    }
+    this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this._onMotionPreferenceChange = () => this.applyMotionPolicy();
+    if (this._motionQuery.addEventListener) {
+      this._motionQuery.addEventListener('change', this._onMotionPreferenceChange);
+    } else if (this._motionQuery.addListener) {
+      this._motionQuery.addListener(this._onMotionPreferenceChange); // Safari < 14
+    }
+    this.applyMotionPolicy();
+  }
+
+  applyMotionPolicy() {
+    const respect = this.config.accessibility?.respectMotionPreference !== false;
+    const reduced = respect && !!(this._motionQuery && this._motionQuery.matches);
+    const changed = reduced !== this.reducedMotion;
+    this.reducedMotion = reduced;
+    if (this.controls && 'enableDamping' in this.controls) {
+      this.controls.enableDamping = !reduced && !!this.config.controls?.enableDamping;
+    }
+    if (changed) console.log(`🎞️ Motion policy: ${reduced ? 'reduced (instant camera cuts, no damping)' : 'full'}`);
+  }
+
+  // Load the config-loader module and resolve config; built-in defaults stay in place on failure
+  async loadRuntimeConfig() {
+    if (this._runtimeConfigResolved) return;
+    this._runtimeConfigResolved = true;
+    try {
+      await this.loadModule('core/config-loader');
+      if (typeof this.resolveConfig === 'function') {
+        await this.resolveConfig();
+      }
+    } catch (err) {
+      console.warn('⚠️ Runtime config unavailable, using built-in defaults:', err.message);
+    }
+  }
+
+  // Visible progress overlay (config.ui.showLoadingProgress); failures only cost the overlay
+  async initLoadingProgress() {
+    if (this.config.ui?.showLoadingProgress === false) return;
+    try {
+      await this.loadModule('core/loading-overlay');
+      this.showLoadingOverlay && this.showLoadingOverlay();
+    } catch (err) {
+      console.warn('⚠️ Loading overlay unavailable:', err.message);
     }
   }
 
@@ -238,15 +486,50 @@ class Simple3DLoader {
     const eagerModules = [
       'core/core-engine',       // Required before scene setup
       'core/model-loader',      // Needed for loadModel()
-      'core/controls-manager'   // Needed for setupControls()
+      'core/controls-manager',  // Needed for setupControls()
+      'core/station-registry'   // Needed for setupInteractiveObjects()
     ];
     // Lighting is generally inexpensive & required visually; keep eager unless explicitly disabled
     if (!(this.config?.lighting?.warmAmbient?.enabled === false)) {
       eagerModules.push('core/lighting-system');
     }
-    // Animation module loaded only if welcome animation enabled (lazy after first frame)
+    // Keyboard navigation, station list and live region (config.accessibility)
+    const a11y = this.config?.accessibility || {};
+    if (a11y.keyboardControls !== false || a11y.ariaLabels !== false) {
+      eagerModules.push('core/keyboard-access');
+    }
+    // FPS-driven quality tiers (config.performance.adaptiveQuality); must attach before the renderer exists
+    if (this.config?.performance?.adaptiveQuality?.enabled !== false) {
+      eagerModules.push('core/quality-controller');
+    }
+    // Projected DOM labels for stations (config.ui.stationLabels)
+    if (this.config?.ui?.stationLabels?.mode !== 'off') {
+      eagerModules.push('core/station-labels');
+    }
+    // Per-building LOD, distance culling and shadow skipping (config.performance.lod)
+    if (this.config?.performance?.lod?.enabled !== false) {
+      eagerModules.push('core/model-lod');
+    }
+    // GLBs in Cache Storage for repeat visits (config.models.cache); attached even when disabled
+    // so clearModelCache() can drop entries from earlier visits
+    if (typeof caches !== 'undefined') {
+      eagerModules.push('core/model-cache');
+    }
+    // Opt-in service worker for the tour on poor reception (config.offline)
+    if (this.config?.offline?.enabled) {
+      eagerModules.push('core/offline');
+    }
+    // Optional instancing / merging pass over the loaded model (config.performance.meshOptimization)
+    if (this.config?.performance?.meshOptimization?.enabled) {
+      eagerModules.push('core/mesh-optimizer');
+    }
+    // Shareable #station= / ?cam= links (tiny; needed before the welcome animation decision)
+    if (this.config?.interaction?.deepLinking?.enabled !== false) {
+      eagerModules.push('core/deep-link');
+    }
+    // Animation module loaded only if welcome animation or fly-to is enabled (lazy after first frame)
     const lazyModules = [];
-    if (this.config?.animations?.welcomeAnimation?.enabled) {
+    if (this.config?.animations?.welcomeAnimation?.enabled || this.config?.interaction?.flyToStation?.enabled) {
       lazyModules.push('core/animation-system');
     }
 
@@ -338,26 +621,27 @@ class Simple3DLoader {
       console.log('🚀 Starting progressive 3D initialization...');
 
       // Find the container element first
-      this.container = document.querySelector('#webgl-container') ||
-                       document.querySelector('.webgl-container') ||
-                       document.querySelector('[data-webgl-container]');
+      if (!this.resolveContainer()) return;
 
-      if (!this.container) {
-        console.error('WebGL container not found! Looking for #webgl-container');
-        return;
-      }
-
-      // Apply initial styling immediately
+      // Apply initial styling once the config (layout mode) is known
+      await this.loadRuntimeConfig();
       this.applyInitialStyling();
+      this.setupMotionPolicy();
+      this.initLoadingProgress();
+      if (!(await this.ensureWebGL())) return;
 
       // Phase 1: Load core components and show basic scene
       console.log('📦 Phase 1: Loading core components...');
-      await this.loadCoreComponents();
+      if (!(await this.loadCoreComponents())) return;
       this.showBasicScene();
 
       // Phase 2: Load model with progress tracking
       console.log('🏗️ Phase 2: Loading 3D model...');
-      await this.loadModelProgressive();
+      // Like init(): a failed model leaves the overlay on its error state instead of going ready
+      if (!(await this.loadModelProgressive())) {
+        this.loadingState = 'error';
+        return;
+      }
 
       // Phase 3: Enhance scene with animations and controls
       console.log('✨ Phase 3: Enhancing scene...');
@@ -367,25 +651,39 @@ class Simple3DLoader {
 
     } catch (error) {
       console.error('❌ Error in progressive initialization:', error);
+      if (!this.renderer) {
+        await this.enterDegradedMode(error, 'init');
+        return;
+      }
+      this.reportError(error, 'init');
       this.initFallbackMode();
     }
   }
 
   async loadCoreComponents() {
     // Load Three.js with retry logic
-    await this.loadThreeJS();
+    if (!(await this.loadThreeJS())) return false;
+    // Same module set as init(): loadModel() and the scene modules live there
+    await this.ensureCoreModules();
 
     // Setup basic scene without model
     this.setupScene();
     this.setupEventListeners();
 
     console.log('✅ Core components loaded');
+    return true;
   }
 
   showBasicScene() {
     // Start basic render loop
     this.animate();
 
+    // The progress overlay replaces the placeholder cube when it is active
+    if (this._loadingOverlay) {
+      console.log('🎬 Basic scene visible behind loading overlay');
+      return;
+    }
+
     // Show a simple loading state in the scene
     const loadingGeometry = new THREE.BoxGeometry(10, 10, 10);
     const loadingMaterial = new THREE.MeshBasicMaterial({
@@ -397,29 +695,37 @@ class Simple3DLoader {
     const loadingCube = new THREE.Mesh(loadingGeometry, loadingMaterial);
     this.scene.add(loadingCube);
 
-    // Animate the loading cube
-    const animateLoadingCube = () => {
-      if (loadingCube.parent) { // Still in scene
-        loadingCube.rotation.x += 0.01;
-        loadingCube.rotation.y += 0.01;
-        requestAnimationFrame(animateLoadingCube);
+    // Animate the loading cube (static placeholder under reduced motion)
+    const removeTask = this.addFrameTask('loading-cube', () => {
+      if (!loadingCube.parent) { // placeholder removed from the scene
+        removeTask();
+        return false;
       }
-    };
-    animateLoadingCube();
+      if (this.reducedMotion) return false;
+      loadingCube.rotation.x += 0.01;
+      loadingCube.rotation.y += 0.01;
+      return true;
+    });
+    this.invalidate();
 
     this.loadingCube = loadingCube; // Store reference for cleanup
     console.log('🎬 Basic scene visible with loading indicator');
   }
 
+  // Also called by the loading overlay when it arrives after showBasicScene()
+  removeLoadingCube() {
+    if (!this.loadingCube) return;
+    this.removeFrameTask('loading-cube');
+    this.scene.remove(this.loadingCube);
+    this.loadingCube.geometry.dispose();
+    this.loadingCube.material.dispose();
+    this.loadingCube = null;
+    this.invalidate();
+  }
+
   async loadModelProgressive() {
     try {
-      // Remove loading cube
-      if (this.loadingCube) {
-        this.scene.remove(this.loadingCube);
-        this.loadingCube.geometry.dispose();
-        this.loadingCube.material.dispose();
-        this.loadingCube = null;
-      }
+      this.removeLoadingCube();
 
       // Load the actual model
       await this.loadModel();
@@ -431,22 +737,25 @@ class Simple3DLoader {
       console.log('🏴 this.flags:', this.flags);
       console.log('🏴 flags.length:', this.flags ? this.flags.length : 'undefined');
       console.log('🏴 this.model:', this.model);
+      return true;
 
     } catch (error) {
+      // loadModel() has already reported it as the 'model' stage
       console.error('❌ Model loading failed:', error);
-      // Keep the loading cube as fallback
+      return false;
     }
   }
 
   enhanceScene() {
     // Setup controls
     this.setupControls();
+    this.setupKeyboardAccess && this.setupKeyboardAccess();
 
     // Finish loading sequence
     this.finishLoading();
 
-    // Play welcome animation if enabled
-    if (this.config.animations.welcomeAnimation.enabled) {
+    // Play welcome animation if enabled (unless a shared link sets the view)
+    if (!this.startFromDeepLink() && this.config.animations.welcomeAnimation.enabled) {
       this.playWelcomeAnimation();
     }
 
@@ -521,6 +830,11 @@ class Simple3DLoader {
     }
 
     // Apply quality adjustments based on performance tier
+    // Upper bound for the device pixel ratio; re-applied when the window changes monitors.
+    // The heuristic tier is only a starting point for the FPS-driven quality controller.
+    this._pixelRatioCap = { low: 0.75, medium: 1.5, high: 2.0 }[performanceTier];
+    this.qualityTier = performanceTier;
+
     switch (performanceTier) {
       case 'low':
         qualityAdjustments = {
@@ -577,6 +891,14 @@ class Simple3DLoader {
     const startTarget = new THREE.Vector3(...animConfig.startTarget);
     const endPos = new THREE.Vector3(...animConfig.endPosition);
     const endTarget = new THREE.Vector3(...animConfig.endTarget);
+
+    // Reduced motion: start at the final view
+    if (this.reducedMotion) {
+      this.camera.position.copy(endPos);
+      this.controls.target.copy(endTarget);
+      this.controls.update();
+      return;
+    }
     
     // Set initial camera position and target
     this.camera.position.copy(startPos);
@@ -587,8 +909,12 @@ class Simple3DLoader {
     const startTime = performance.now();
     const duration = animConfig.duration; // 1300ms
     
-    const animateCamera = () => {
-      const elapsed = performance.now() - startTime;
+    // Registered like an animateCamera() tween so user input and fly-tos cancel it
+    this.cancelCameraAnimation();
+    const token = { cancelled: false, resolve: () => {} };
+    this._cameraAnimation = token;
+    const removeTask = token.removeTask = this.addFrameTask('welcome-animation', (now) => {
+      const elapsed = Math.max(now - startTime, 0);
       const progress = Math.min(elapsed / duration, 1);
       
       // Apply smooth exponential InOut easing (gentler curve than standard expo)
@@ -612,18 +938,44 @@ class Simple3DLoader {
       this.controls.target.lerpVectors(startTarget, endTarget, easedProgress);
       this.controls.update();
       
-      if (progress < 1) {
-        requestAnimationFrame(animateCamera);
-      } else {
-        // Ensure final positions are exact
-        this.camera.position.copy(endPos);
-        this.controls.target.copy(endTarget);
-        this.controls.update();
-        console.log('✅ Welcome animation complete - new camera positions applied');
-      }
+      if (progress < 1) return true;
+
+      // Ensure final positions are exact
+      this.camera.position.copy(endPos);
+      this.controls.target.copy(endTarget);
+      this.controls.update();
+      removeTask();
+      if (this._cameraAnimation === token) this._cameraAnimation = null;
+      console.log('✅ Welcome animation complete - new camera positions applied');
+      return false;
+    }, { priority: FRAME_PRIORITY.ANIMATION });
+    this.invalidate();
+  }
+
+  // Stops the running camera animation (replaced by the animation-system module, same contract)
+  cancelCameraAnimation() {
+    if (!this._cameraAnimation) return;
+    this._cameraAnimation.cancelled = true;
+    this._cameraAnimation.removeTask && this._cameraAnimation.removeTask();
+    this._cameraAnimation.resolve(false);
+    this._cameraAnimation = null;
+  }
+
+  // 'embedded' (default): renderer follows the container's own box.
+  // 'fullscreen' (opt-in via data-map-layout, mount options or config.ui.layout): fixed 100vw×100vh.
+  getLayoutMode() {
+    const mode = (this.container && this.container.dataset.mapLayout) || this.options.layout || this.config.ui?.layout;
+    return mode === 'fullscreen' ? 'fullscreen' : 'embedded';
+  }
+
+  getViewportSize() {
+    if (this.getLayoutMode() === 'fullscreen' || !this.container) {
+      return { width: window.innerWidth, height: window.innerHeight };
+    }
+    return {
+      width: Math.max(1, this.container.clientWidth),
+      height: Math.max(1, this.container.clientHeight)
     };
-    
-    requestAnimationFrame(animateCamera);
   }
 
   applyInitialStyling() {
@@ -640,6 +992,20 @@ class Simple3DLoader {
     this.container.style.background = '#3c5e71'; // Set target color immediately
     this.container.style.opacity = '1'; // Keep visible but with correct background
     this.container.style.transition = 'none'; // Remove transition during setup
+
+    if (this.getLayoutMode() === 'embedded') {
+      // Overlays (loading, labels, station list) are positioned against the container
+      if (window.getComputedStyle(this.container).position === 'static') {
+        this.container.style.position = 'relative';
+      }
+      this.container.style.overflow = 'hidden';
+      if (this.container.clientHeight === 0) {
+        console.warn('⚠️ Map container has no height; give it one in Webflow (using a 16:9 fallback)');
+        this.container.style.aspectRatio = '16 / 9';
+      }
+      console.log('✅ Initial styling applied - embedded layout follows the container');
+      return;
+    }
     
     // Ensure container covers the full viewport
     this.container.style.width = '100vw';
@@ -684,6 +1050,9 @@ class Simple3DLoader {
     
     // Container is already visible with correct background - just log completion
     console.log('✅ 3D scene ready and visible');
+    this.emit(MAP_EVENTS.READY, { configSource: this.configSource });
+    // Precaching starts once the map no longer competes for bandwidth
+    this.registerServiceWorker && this.registerServiceWorker();
     
     // Initialize lazy video loading now that 3D scene is ready
     this.initializeLazyVideo();
@@ -774,37 +1143,50 @@ class Simple3DLoader {
       return;
     }
 
+    // Reduced motion: show the model at full opacity right away
+    if (this.reducedMotion) {
+      this.model.traverse((child) => {
+        if (child.isMesh && child.material && child.material.transparent) {
+          child.material.opacity = 1;
+          child.material.needsUpdate = true;
+        }
+      });
+      this.invalidate();
+      return;
+    }
+
     console.log('✨ Starting model fade-in animation...');
 
     const duration = 2000; // 2 seconds fade-in
     const startTime = performance.now();
 
-    const fadeAnimation = () => {
-      const elapsed = performance.now() - startTime;
+    const model = this.model;
+    const removeTask = this.addFrameTask('model-fade', (now) => {
+      const elapsed = Math.max(now - startTime, 0);
       const progress = Math.min(elapsed / duration, 1);
       
       // Smooth easing function (ease-out)
       const easedProgress = 1 - Math.pow(1 - progress, 3);
       
       // Apply opacity to all meshes in the model
-      this.model.traverse((child) => {
+      model.traverse((child) => {
         if (child.isMesh && child.material && child.material.transparent) {
           child.material.opacity = easedProgress;
           child.material.needsUpdate = true;
         }
       });
-      
-      if (progress < 1) {
-        requestAnimationFrame(fadeAnimation);
-      } else {
-        console.log('✅ Model fade-in complete');
-      }
-    };
-    
+
+      if (progress < 1) return true;
+      removeTask();
+      console.log('✅ Model fade-in complete');
+      return false;
+    }, { priority: FRAME_PRIORITY.ANIMATION });
+
     // Start the fade-in animation
-    requestAnimationFrame(fadeAnimation);
+    this.invalidate();
   }
 
+  // Resolves false when Three.js could not be loaded and the static map is shown instead
   async loadThreeJS() {
     return this.loadThreeJSWithRetry(3);
   }
@@ -823,7 +1205,7 @@ class Simple3DLoader {
         // Verify all required objects are available
         if (window.THREE && window.GLTFLoader && window.OrbitControls) {
           console.log('✅ All Three.js modules verified present');
-          return;
+          return true;
         } else {
           throw new Error('Three.js modules incomplete after load');
         }
@@ -838,9 +1220,9 @@ class Simple3DLoader {
         });
 
         if (attempt === maxRetries) {
-          console.error('💥 All Three.js loading attempts failed, initializing fallback mode');
-          this.initFallbackMode();
-          return;
+          console.error('💥 All Three.js loading attempts failed, switching to the static map');
+          await this.enterDegradedMode(error, 'three');
+          return false;
         }
 
         // Exponential backoff delay
@@ -851,63 +1233,59 @@ class Simple3DLoader {
     }
   }
 
+  // Three.js is page-global: concurrent instances share one in-flight attempt
   async attemptThreeJSLoad() {
-    return new Promise((resolve, reject) => {
-      if (window.THREE) {
-        console.log('✅ Three.js already loaded');
-        resolve();
-        return;
-      }
-      
-      // Load Three.js core using ES modules approach
-      const threeScript = document.createElement('script');
-      threeScript.type = 'importmap';
-      threeScript.textContent = JSON.stringify({
-        "imports": {
-          "three": "https://unpkg.com/three@0.158.0/build/three.module.js",
-          "three/addons/": "https://unpkg.com/three@0.158.0/examples/jsm/"
-        }
+    if (!threeLoadAttempt) {
+      threeLoadAttempt = this._attemptThreeJSLoad().catch(err => {
+        threeLoadAttempt = null; // allow the next retry to start a fresh attempt
+        throw err;
       });
-      document.head.appendChild(threeScript);
-
-      // Load the main script that imports Three.js
-      const mainScript = document.createElement('script');
-      mainScript.type = 'module';
-      mainScript.textContent = `
-        import * as THREE from 'three';
-        import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-        import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-        
-        // Make THREE available globally
-        window.THREE = THREE;
-        window.GLTFLoader = GLTFLoader;
-        window.OrbitControls = OrbitControls;
-        
-        console.log('✅ Three.js loaded successfully via ES modules');
-        
-        // Dispatch custom event to signal loading completion
-        window.dispatchEvent(new CustomEvent('threeJSLoaded'));
-      `;
-
-      // Listen for the custom event
-      window.addEventListener('threeJSLoaded', () => {
-        console.log('✅ Three.js modules ready');
-        resolve();
-      }, { once: true });
-
-      mainScript.onerror = () => {
-        console.warn('⚠️ ES modules approach failed, trying fallback...');
-        this.loadThreeJSFallback().then(resolve).catch(reject);
-      };
+    }
+    return threeLoadAttempt;
+  }
 
-      document.head.appendChild(mainScript);
+  async _attemptThreeJSLoad() {
+    if (window.THREE && window.GLTFLoader && window.OrbitControls) {
+      console.log('✅ Three.js already loaded');
+      return;
+    }
+    threeLoadCount++;
+    const stamped = !THREE_BUNDLE.version.startsWith('__');
+    const relativePath = stamped && !this.isDevelopment ? `vendor/three-${THREE_BUNDLE.version}.js` : THREE_BUNDLE.sourcePath;
+    const { primary, fallback } = this.getSourceUrls(relativePath);
+    const integrity = stamped && !this.isDevelopment ? THREE_BUNDLE.integrity : null;
+    try {
+      await this._injectThreeBundle(primary, integrity);
+    } catch (err) {
+      console.warn('⚠️ Three.js bundle failed from primary URL, trying fallback:', err.message);
+      await this._injectThreeBundle(fallback, null);
+    }
+    if (!window.THREE || !window.GLTFLoader || !window.OrbitControls) {
+      throw new Error('Three.js bundle loaded but did not expose THREE / GLTFLoader / OrbitControls');
+    }
+  }
 
-      // Timeout fallback
-      setTimeout(() => {
-        if (!window.THREE) {
-          reject(new Error('Three.js loading timeout'));
-        }
-      }, 10000);
+  // Module script with Subresource Integrity; a hash mismatch surfaces as a load error
+  _injectThreeBundle(url, integrity) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.type = 'module';
+      script.crossOrigin = 'anonymous';
+      if (integrity) script.integrity = integrity;
+      // A failed module fetch stays failed for the page's lifetime; retries need a distinct URL
+      script.src = threeLoadCount > 1 ? `${url}?attempt=${threeLoadCount}` : url;
+      const timeout = setTimeout(() => reject(new Error('Three.js loading timeout')), 10000);
+      script.onload = () => {
+        clearTimeout(timeout);
+        console.log('✅ Three.js bundle loaded:', url);
+        resolve();
+      };
+      script.onerror = () => {
+        clearTimeout(timeout);
+        script.remove();
+        reject(new Error('Failed to load Three.js bundle: ' + url));
+      };
+      document.head.appendChild(script);
     });
   }
 
@@ -916,7 +1294,47 @@ class Simple3DLoader {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Fallback mode when Three.js completely fails to load
+  // Capability check before init; resolves false (static map shown) when WebGL 2 is unavailable
+  async ensureWebGL() {
+    const reason = detectWebGL();
+    if (!reason) return true;
+    console.warn(`⚠️ WebGL unavailable (${reason}), skipping the 3D scene`);
+    await this.enterDegradedMode(new Error(`WebGL unavailable: ${reason}`), 'webgl');
+    return false;
+  }
+
+  // Degraded mode when WebGL or Three.js is unavailable: a static image of the map whose station
+  // hotspots open the same modals (core/static-map). The failure is reported as non-fatal and
+  // READY fires with degraded: true. Only if the static map itself fails does the fatal error
+  // and the plain fallback notice follow. Resolves true when the static map is shown.
+  async enterDegradedMode(error, stage) {
+    if (this.degraded) return true;
+    this.suspendRendering('degraded');
+    if (this.renderer) {
+      // The scene existed but its context is gone for good: hide the canvas and its overlays
+      this.renderer.domElement.hidden = true;
+      this.disposeKeyboardAccess && this.disposeKeyboardAccess();
+      this.disposeStationLabels && this.disposeStationLabels();
+    }
+    try {
+      if (!this.staticMapAttached) await this.loadModule('core/static-map');
+      if (!(await this.showStaticMap())) throw new Error('Static map could not be shown');
+    } catch (err) {
+      console.error('💥 Static map unavailable:', err);
+      this.loadingState = 'error';
+      this.reportError(error, stage);
+      this.initFallbackMode();
+      return false;
+    }
+    this.degraded = true;
+    this.loadingState = 'degraded';
+    this.reportError(error, stage, false);
+    this.emit(MAP_EVENTS.READY, { configSource: this.configSource, degraded: true });
+    console.log('🗺️ Degraded mode: static map with station hotspots');
+    return true;
+  }
+
+  // Last resort when neither the 3D scene nor the static map can be shown
   initFallbackMode() {
     console.log('🛟 Initializing fallback mode...');
 
@@ -924,11 +1342,8 @@ class Simple3DLoader {
     const fallbackDiv = document.createElement('div');
     fallbackDiv.innerHTML = `
       <div style="
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100vw;
-        height: 100vh;
+        position: absolute;
+        inset: 0;
         background: linear-gradient(135deg, #3c5e71 0%, #2a4a5c 100%);
         display: flex;
         align-items: center;
@@ -964,111 +1379,29 @@ class Simple3DLoader {
     console.log('🛟 Fallback mode initialized with user-friendly interface');
   }
 
-  async loadThreeJSFallback() {
-    return new Promise((resolve, reject) => {
-      console.log('🔄 Loading Three.js using fallback method...');
-      
-      // Try loading Three.js from different CDNs
-      const cdnUrls = [
-        'https://cdnjs.cloudflare.com/ajax/libs/three.js/r158/three.min.js',
-        'https://unpkg.com/three@0.158.0/build/three.min.js',
-        'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.min.js'
-      ];
-
-      let currentCdnIndex = 0;
-
-      const tryNextCdn = () => {
-        if (currentCdnIndex >= cdnUrls.length) {
-          reject(new Error('All CDN sources failed to load Three.js'));
-          return;
-        }
-
-        const script = document.createElement('script');
-        script.src = cdnUrls[currentCdnIndex];
-        
-        script.onload = () => {
-          console.log(`✅ Three.js loaded from: ${cdnUrls[currentCdnIndex]}`);
-          
-          // Load additional modules manually
-          this.loadAdditionalModules().then(resolve).catch(reject);
-        };
-        
-        script.onerror = () => {
-          console.warn(`❌ Failed to load from: ${cdnUrls[currentCdnIndex]}`);
-          currentCdnIndex++;
-          tryNextCdn();
-        };
-        
-        document.head.appendChild(script);
-      };
-
-      tryNextCdn();
-    });
-  }
-
-  async loadAdditionalModules() {
-    return new Promise((resolve, reject) => {
-      if (!window.THREE) {
-        reject(new Error('Three.js not available for module loading'));
-        return;
-      }
-
-      console.log('📦 Loading additional Three.js modules...');
-
-      // Create a simple GLTFLoader and OrbitControls using basic Three.js
-      const moduleScript = document.createElement('script');
-      moduleScript.textContent = `
-        // Basic GLTFLoader implementation
-        window.GLTFLoader = function() {
-          this.load = function(url, onLoad, onProgress, onError) {
-            fetch(url)
-              .then(response => response.arrayBuffer())
-              .then(data => {
-                // This is a simplified loader - for production use proper GLTFLoader
-                console.log('⚠️ Using simplified model loader');
-                if (onError) onError(new Error('Simplified loader - model format not supported'));
-              })
-              .catch(error => {
-                console.error('Model loading error:', error);
-                if (onError) onError(error);
-              });
-          };
-        };
-
-        // Basic OrbitControls
-        window.OrbitControls = function(camera, domElement) {
-          console.log('⚠️ Using simplified orbit controls');
-          this.update = function() {};
-          this.enableDamping = false;
-          this.dampingFactor = 0.05;
-        };
-
-        console.log('✅ Simplified modules loaded');
-      `;
-
-      moduleScript.onload = () => {
-        console.log('✅ Additional modules ready');
-        resolve();
-      };
-
-      moduleScript.onerror = () => {
-        console.warn('⚠️ Module loading failed, continuing with basic Three.js');
-        resolve(); // Continue anyway
-      };
-
-      document.head.appendChild(moduleScript);
-      
-      // Resolve immediately since inline scripts execute synchronously
-      setTimeout(resolve, 100);
+  // WebGL renderer with the configured settings; also used to rebuild it after a context loss.
+  // Throws when no context can be created.
+  createRenderer(width, height) {
+    const performanceConfig = this.config.performance;
+    const renderer = new THREE.WebGLRenderer({
+      antialias: this.initialAntialias ? this.initialAntialias() : performanceConfig.enableAntialiasing,
+      alpha: true,
+      premultipliedAlpha: false // Prevent alpha blending issues
     });
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(performanceConfig.pixelRatio);
+    renderer.setClearColor(0x000000, 0); // Transparent clear color initially
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this._watchContextLoss(renderer.domElement);
+    return renderer;
   }
 
   setupScene() {
     console.log('🎬 Setting up Three.js scene...');
 
-    // Use viewport dimensions for full-page coverage
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    // Viewport (fullscreen) or container box (embedded)
+    const { width, height } = this.getViewportSize();
     console.log('📐 Viewport dimensions:', { width, height });
 
     // Verify Three.js is available
@@ -1101,24 +1434,13 @@ class Simple3DLoader {
     const performanceConfig = this.config.performance;
 
     try {
-      this.renderer = new THREE.WebGLRenderer({
-        antialias: performanceConfig.enableAntialiasing,
-        alpha: true,
-        premultipliedAlpha: false // Prevent alpha blending issues
-      });
+      this.renderer = this.createRenderer(width, height);
       console.log('✅ WebGL renderer created successfully');
     } catch (error) {
       console.error('❌ Failed to create WebGL renderer:', error);
       throw error;
     }
 
-    console.log('🖥️ Configuring renderer settings...');
-    this.renderer.setSize(width, height);
-    this.renderer.setPixelRatio(performanceConfig.pixelRatio);
-    this.renderer.setClearColor(0x000000, 0); // Transparent clear color initially
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-
     console.log('📊 Renderer configuration:', {
       size: { width, height },
       pixelRatio: performanceConfig.pixelRatio,
@@ -1185,7 +1507,7 @@ class Simple3DLoader {
       }
 
       console.log('✅ GLTFLoader available, creating loader instance...');
-      const loader = new window.GLTFLoader();
+      const loader = this.createGLTFLoader ? this.createGLTFLoader() : new window.GLTFLoader();
 
       // Test network connectivity to model URL
       console.log('🔍 Testing model URL accessibility...');
@@ -1278,15 +1600,19 @@ class Simple3DLoader {
           } catch (e) {
             console.error('❌ Phase 5.1: Failed to setup interactive objects:', e);
           }
+          this.optimizeModel && this.optimizeModel(this.model);
+          this.setupModelLod && this.setupModelLod(this.model);
 
           // Start fade-in animation for the model
           console.log('✨ Starting model fade-in animation...');
           this.fadeInModel();
 
           console.log('✅ Model loading process complete!');
+          this.emit(MAP_EVENTS.MODEL_LOADED, { model: this.model, url: this.modelUrl });
           resolve();
         },
         (progress) => {
+          this.emitProgress(progress, this.modelUrl, false);
           if (progress.total > 0) {
             const percent = (progress.loaded / progress.total * 100).toFixed(1);
             console.log(`📊 Loading progress: ${percent}% (${progress.loaded}/${progress.total} bytes)`);
@@ -1341,11 +1667,7 @@ class Simple3DLoader {
   }
 
   _legacySetupControls() {
-    if (!window.OrbitControls) {
-      console.warn('⚠️ OrbitControls not available, using basic mouse controls');
-      this.setupBasicControls();
-      return;
-    }
+    if (!window.OrbitControls) throw new Error('OrbitControls not available');
 
     const cameraConfig = this.config.camera;
     const controlsConfig = this.config.controls;
@@ -1354,7 +1676,7 @@ class Simple3DLoader {
     this.controls = new window.OrbitControls(this.camera, this.renderer.domElement);
     
     // Apply enhanced configuration settings
-    this.controls.enableDamping = controlsConfig.enableDamping;
+    this.controls.enableDamping = controlsConfig.enableDamping && !this.reducedMotion;
     this.controls.dampingFactor = controlsConfig.dampingFactor;
     
     // Apply updated polar angle restrictions
@@ -1383,122 +1705,371 @@ class Simple3DLoader {
     });
   }
 
-  setupBasicControls() {
-    console.log('🎮 Setting up basic mouse controls...');
-    
-    let isMouseDown = false;
-    let mouseX = 0, mouseY = 0;
-    let targetX = 0, targetY = 0;
-    
-    this.renderer.domElement.addEventListener('mousedown', (event) => {
-      isMouseDown = true;
-      mouseX = event.clientX;
-      mouseY = event.clientY;
-    });
-    
-    this.renderer.domElement.addEventListener('mousemove', (event) => {
-      if (!isMouseDown) return;
-      
-      const deltaX = event.clientX - mouseX;
-      const deltaY = event.clientY - mouseY;
-      
-      targetX += deltaX * 0.01;
-      targetY += deltaY * 0.01;
-      
-      mouseX = event.clientX;
-      mouseY = event.clientY;
-    });
-    
-    this.renderer.domElement.addEventListener('mouseup', () => {
-      isMouseDown = false;
-    });
-    
-    // Update camera rotation in animation loop
-    this.updateBasicControls = () => {
-      if (this.camera && this.model) {
-        const radius = 80;
-        this.camera.position.x = Math.cos(targetX) * radius;
-        this.camera.position.z = Math.sin(targetX) * radius;
-        this.camera.position.y = Math.sin(targetY) * 50 + 40;
-        this.camera.lookAt(0, 15, 0);
-      }
+  setupEventListeners() {
+    if (this._windowHandlers) return;
+    // Bound per instance so dispose() can remove exactly these listeners
+    this._windowHandlers = {
+      resize: () => this.onWindowResize(),
+      visibility: () => this.handleVisibilityChange()
     };
-    
-    console.log('✅ Basic controls setup complete');
-  }
 
-  setupEventListeners() {
     // Window resize handling
-    window.addEventListener('resize', () => this.onWindowResize());
+    window.addEventListener('resize', this._windowHandlers.resize);
 
     // Visibility API for performance optimization
-    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    document.addEventListener('visibilitychange', this._windowHandlers.visibility);
+
+    // Container box changes (embedded layout, Webflow interactions, tabs) and monitor moves
+    this.applyCanvasLayout();
+    if (typeof window.ResizeObserver === 'function' && this.container) {
+      let scheduled = false;
+      this._resizeObserver = new ResizeObserver(() => {
+        if (scheduled) return;
+        scheduled = true;
+        requestAnimationFrame(() => {
+          scheduled = false;
+          this.onWindowResize();
+        });
+      });
+      this._resizeObserver.observe(this.container);
+    }
+    this.watchPixelRatio();
+
+    // Container scrolled out of view (config.performance.pauseWhenObscured.offscreen)
+    const obscured = this.config.performance?.pauseWhenObscured || {};
+    if (obscured.offscreen !== false && typeof window.IntersectionObserver === 'function' && this.container) {
+      this._intersectionObserver = new IntersectionObserver((entries) => {
+        const entry = entries[entries.length - 1];
+        if (entry.isIntersecting) this.resumeRendering('offscreen');
+        else this.suspendRendering('offscreen');
+      }, { rootMargin: obscured.rootMargin || '0px' });
+      this._intersectionObserver.observe(this.container);
+    }
+    this.handleVisibilityChange();
 
-    console.log('🎧 Event listeners setup complete (resize, visibility)');
+    console.log('🎧 Event listeners setup complete (resize, visibility, intersection)');
   }
 
   handleVisibilityChange() {
-    if (document.hidden) {
-      // Tab is hidden - pause rendering to save battery/CPU
-      this.pauseRendering = true;
-      console.log('⏸️ Rendering paused (tab hidden)');
-    } else {
-      // Tab is visible - resume rendering
-      this.pauseRendering = false;
-      this.animate(); // Restart animation loop
-      console.log('▶️ Rendering resumed (tab visible)');
+    // Tab hidden - pause rendering to save battery/CPU
+    if (document.hidden) this.suspendRendering('hidden');
+    else this.resumeRendering('hidden');
+  }
+
+  // Rendering stays paused while any reason is held: 'hidden' (tab), 'offscreen' (container
+  // scrolled away), 'modal' (a station modal covers the map), 'disposed', or any reason site code
+  // passes in. Resuming goes through invalidate(), so only ever one requestAnimationFrame chain runs.
+  suspendRendering(reason = 'manual') {
+    this._pauseReasons.add(reason);
+    if (this.pauseRendering) return;
+    this.pauseRendering = true;
+    if (this._frameHandle) {
+      cancelAnimationFrame(this._frameHandle);
+      this._frameHandle = null;
     }
+    console.log(`⏸️ Rendering paused (${reason})`);
   }
 
+  resumeRendering(reason = 'manual') {
+    if (!this._pauseReasons.delete(reason) || this._pauseReasons.size > 0) return;
+    this.pauseRendering = false;
+    this.invalidate();
+    console.log(`▶️ Rendering resumed (${reason})`);
+  }
+
+  getPauseReasons() {
+    return Array.from(this._pauseReasons);
+  }
+
+  _watchContextLoss(canvas) {
+    if (!this._contextHandlers) {
+      this._contextHandlers = {
+        lost: (event) => this.onContextLost(event),
+        restored: () => this.onContextRestored()
+      };
+    }
+    canvas.addEventListener('webglcontextlost', this._contextHandlers.lost);
+    canvas.addEventListener('webglcontextrestored', this._contextHandlers.restored);
+  }
+
+  _unwatchContextLoss(canvas) {
+    if (!this._contextHandlers || !canvas) return;
+    canvas.removeEventListener('webglcontextlost', this._contextHandlers.lost);
+    canvas.removeEventListener('webglcontextrestored', this._contextHandlers.restored);
+  }
+
+  // GPU reset, driver crash or the browser reclaiming contexts (common on mobile).
+  // preventDefault() asks the browser to restore the context; if it has not within
+  // config.performance.contextLoss.restoreTimeoutMs the renderer is rebuilt on a new canvas.
+  onContextLost(event) {
+    event.preventDefault();
+    const state = this._contextLoss;
+    state.losses++;
+    console.warn(`⚠️ WebGL context lost (${state.losses}x this session)`);
+    this.suspendRendering('context-lost');
+    this.emit(MAP_EVENTS.CONTEXT_LOST, { losses: state.losses });
+    clearTimeout(state.timer);
+    const cfg = this.config.performance?.contextLoss || {};
+    state.timer = setTimeout(() => this.recoverContext(), cfg.restoreTimeoutMs ?? 3000);
+  }
+
+  // Three.js re-initialises its GL state on restore; geometry, textures and shader programs
+  // upload again on the next frame
+  onContextRestored() {
+    const state = this._contextLoss;
+    clearTimeout(state.timer);
+    state.timer = null;
+    console.log('✅ WebGL context restored');
+    if (this.renderer) this.renderer.shadowMap.needsUpdate = true;
+    this._finishContextRecovery(false);
+  }
+
+  // Context not restored in time: rebuild the renderer, or show the static map once
+  // contextLoss.maxRebuilds is used up or no new context can be created
+  async recoverContext() {
+    const state = this._contextLoss;
+    state.timer = null;
+    if (!this.renderer || this.degraded) return;
+    const maxRebuilds = this.config.performance?.contextLoss?.maxRebuilds ?? 2;
+    if (state.rebuilds >= maxRebuilds) {
+      await this.enterDegradedMode(new Error(`WebGL context lost ${state.losses} times`), 'context');
+      return;
+    }
+    state.rebuilds++;
+    try {
+      this.rebuildRenderer();
+    } catch (error) {
+      console.error('💥 Renderer rebuild failed:', error);
+      await this.enterDegradedMode(error, 'context');
+      return;
+    }
+    console.log(`🔁 Renderer rebuilt after context loss (${state.rebuilds}/${maxRebuilds})`);
+    this._finishContextRecovery(true);
+  }
+
+  _finishContextRecovery(rebuilt) {
+    this.resumeRendering('context-lost');
+    this.invalidate();
+    this.emit(MAP_EVENTS.CONTEXT_RESTORED, { rebuilt });
+  }
+
+  // New renderer and canvas for the same scene, camera and controls. Everything bound to the old
+  // canvas moves over; the new renderer uploads the scene again on its first frame.
+  rebuildRenderer() {
+    const old = this.renderer;
+    if (!old || !this.scene) return;
+    const { width, height } = this.getViewportSize();
+    const renderer = this.createRenderer(width, height);
+    const oldCanvas = old.domElement;
+
+    this._unwatchContextLoss(oldCanvas);
+    this._bindInteractionListeners(oldCanvas, false);
+    this.disposeKeyboardAccess && this.disposeKeyboardAccess();
+    oldCanvas.replaceWith(renderer.domElement);
+    old.dispose();
+    this.renderer = renderer;
+
+    this.applyCanvasLayout();
+    if (this.loadingState === 'loaded') renderer.setClearColor(0x3c5e71, 1);
+    // Re-applying the tier restores pixel ratio and shadow settings on the new renderer
+    if (this.setQualityTier && this.qualityTier) this.setQualityTier(this.qualityTier, 'renderer rebuilt');
+    else this.updatePixelRatio();
+    if (this.controls && this.controls.connect) {
+      this.controls.disconnect();
+      this.controls.connect(renderer.domElement);
+    }
+    this._bindInteractionListeners(renderer.domElement);
+    this.setupKeyboardAccess && this.setupKeyboardAccess();
+    this._lastViewportSize = null;
+    this.onWindowResize();
+  }
+
+  // Embedded canvases fill the container via CSS so their size never feeds back into the layout
+  applyCanvasLayout() {
+    if (!this.renderer || this.getLayoutMode() !== 'embedded') return;
+    const style = this.renderer.domElement.style;
+    style.position = 'absolute';
+    style.inset = '0';
+    style.width = '100%';
+    style.height = '100%';
+    style.display = 'block';
+  }
+
+  // Handles window resizes and container ResizeObserver callbacks for both layouts
   onWindowResize() {
     if (!this.camera || !this.renderer) return;
 
-    // Use viewport dimensions for full-page coverage
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const { width, height } = this.getViewportSize();
+    const last = this._lastViewportSize;
+    if (last && last.width === width && last.height === height) return;
+    this._lastViewportSize = { width, height };
 
     this.camera.aspect = width / height;
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+    // Embedded canvas CSS stays at 100%; only the drawing buffer changes
+    this.renderer.setSize(width, height, this.getLayoutMode() === 'fullscreen');
+    this.invalidate();
 
     console.log('📱 Viewport resized:', { width, height });
   }
 
+  // devicePixelRatio changes (window dragged to another monitor, browser zoom) fire a
+  // one-shot resolution media query; re-arm it for the new ratio each time
+  watchPixelRatio() {
+    if (typeof window.matchMedia !== 'function') return;
+    this.unwatchPixelRatio();
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const onChange = () => {
+      this.updatePixelRatio();
+      this.watchPixelRatio();
+    };
+    if (query.addEventListener) query.addEventListener('change', onChange);
+    else if (query.addListener) query.addListener(onChange);
+    this._pixelRatioWatch = { query, onChange };
+  }
+
+  unwatchPixelRatio() {
+    const watch = this._pixelRatioWatch;
+    if (!watch) return;
+    if (watch.query.removeEventListener) watch.query.removeEventListener('change', watch.onChange);
+    else if (watch.query.removeListener) watch.query.removeListener(watch.onChange);
+    this._pixelRatioWatch = null;
+  }
+
+  updatePixelRatio() {
+    if (!this.renderer) return;
+    const cap = this._pixelRatioCap ?? this.config.performance.pixelRatio;
+    const ratio = Math.min(cap, window.devicePixelRatio || 1);
+    if (ratio === this.renderer.getPixelRatio()) return;
+    this.renderer.setPixelRatio(ratio);
+    this.invalidate();
+    console.log('🖥️ Device pixel ratio changed, renderer ratio now', ratio);
+  }
+
+  // Render on demand (config.performance.renderOnDemand): a frame is drawn only when something
+  // changed the picture. invalidate() requests frames; renderFrame() keeps the loop going while any
+  // frame task reports it is still busy (controls damping, camera tweens, fades, glow easing, the
+  // camera settling), then the loop parks until the next invalidate(). pauseRendering stops it outright.
+  invalidate(frames = 1) {
+    this._pendingFrames = Math.max(this._pendingFrames, frames);
+    this.animate();
+  }
+
+  // Starts (or keeps) the render loop; safe to call repeatedly, at most one frame is ever queued
   animate() {
-    // Check if rendering is paused (e.g., tab hidden)
-    if (this.pauseRendering) {
-      return;
-    }
+    if (this.pauseRendering || this._frameHandle) return;
+    this._frameHandle = requestAnimationFrame((now) => {
+      this._frameHandle = null;
+      this.renderFrame(now);
+    });
+  }
 
-    requestAnimationFrame(() => this.animate());
+  // Continuous rendering when on-demand is off, until controls exist to report camera changes
+  // and while debug panels show live camera info
+  isRenderOnDemand() {
+    return this.config.performance?.renderOnDemand !== false &&
+      !!(this.controls && this.controls.addEventListener) &&
+      !(this.isDevelopment && this.debugPanelsEnabled);
+  }
 
-    const now = performance.now();
+  // Per-frame work runs as named tasks inside the single loop, in priority order (FRAME_PRIORITY
+  // value or lowercase name), so nothing starts its own requestAnimationFrame chain and the scene
+  // is drawn exactly once per frame. fn(now, deltaMs) returns true while it needs further frames.
+  // Re-adding a name replaces that task. Adding does not request a frame: call invalidate().
+  // Returns a function that removes this task (and not a later one registered under the same name).
+  addFrameTask(name, fn, { priority = FRAME_PRIORITY.ANIMATION } = {}) {
+    const order = typeof priority === 'string' ? FRAME_PRIORITY[priority.toUpperCase()] : priority;
+    const task = { name, fn, priority: order ?? FRAME_PRIORITY.ANIMATION, costMs: 0, removed: false };
+    this.removeFrameTask(name);
+    // Stable sort keeps registration order within a priority
+    this._frameTasks = [...this._frameTasks, task].sort((a, b) => a.priority - b.priority);
+    return () => this.removeFrameTask(name, task);
+  }
 
-    // Update controls
-    if (this.controls && this.controls.update) {
-      this.controls.update();
-    } else if (this.updateBasicControls) {
-      this.updateBasicControls();
-    }
+  removeFrameTask(name, task = null) {
+    this._frameTasks = this._frameTasks.filter(t => {
+      if (t.name !== name || (task && t !== task)) return true;
+      t.removed = true;
+      return false;
+    });
+  }
 
+  // The loader's own per-frame work; modules register theirs when they attach
+  _registerCoreFrameTasks() {
+    // OrbitControls.update() reports whether the camera moved (damping keeps it true while settling)
+    this.addFrameTask('controls', () => this.controls ? this.controls.update() === true : false, { priority: FRAME_PRIORITY.INPUT });
     // Update flag billboards to face camera
-    this.updateFlagBillboards();
-
+    this.addFrameTask('flag-billboards', () => { this.updateFlagBillboards(); }, { priority: FRAME_PRIORITY.SCENE });
+    // Phase 5.1: Per-frame interaction visuals update (hover glow easing)
+    this.addFrameTask('station-glow', () => this.updateInteractionVisuals(), { priority: FRAME_PRIORITY.SCENE });
     // Throttled debug updates (development only) - only if debug panels are enabled
-    if (this.isDevelopment && this.debugPanelsEnabled && (now - this.lastDebugUpdate) > 100) {
-      this.updateCameraInfo();
-      this.lastDebugUpdate = now;
-    }
+    this.addFrameTask('debug-info', (now) => {
+      if (this.isDevelopment && this.debugPanelsEnabled && (now - this.lastDebugUpdate) > 100) {
+        this.updateCameraInfo();
+        this.lastDebugUpdate = now;
+      }
+    }, { priority: FRAME_PRIORITY.OVERLAY });
+    this.addFrameTask('camera-motion', () => this.trackCameraMotion(), { priority: FRAME_PRIORITY.OVERLAY });
+  }
 
-    // Phase 5.1: Per-frame interaction visuals update (hover glow easing)
-    if (this.updateInteractionVisuals) {
-      this.updateInteractionVisuals();
+  renderFrame(now = performance.now()) {
+    if (this.pauseRendering) return;
+    if (this._pendingFrames > 0) this._pendingFrames--;
+    const delta = this._lastFrameTime ? now - this._lastFrameTime : 0;
+    this._lastFrameTime = now;
+    const frameStart = performance.now();
+    // Only back-to-back frames show what the device can render; frames started by input
+    // (key repeat, wheel) arrive at the input rate (quality sampling skips them)
+    this._frameChained = this._chainNextFrame;
+
+    let busy = !this.isRenderOnDemand();
+    let rendered = false;
+    const tasks = this._frameTasks; // snapshot: tasks added during the frame run next frame
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+      if (!rendered && task.priority >= FRAME_PRIORITY.RENDER) {
+        this._renderScene();
+        rendered = true;
+      }
+      if (task.removed) continue;
+      const start = performance.now();
+      try {
+        if (task.fn(now, delta) === true) busy = true;
+      } catch (err) {
+        console.error(`❌ Frame task '${task.name}' failed and was removed:`, err);
+        this.removeFrameTask(task.name, task);
+      }
+      task.costMs += (performance.now() - start - task.costMs) * 0.1;
     }
+    if (!rendered) this._renderScene();
 
-    // Render scene
-    if (this.renderer && this.scene && this.camera) {
-      this.renderer.render(this.scene, this.camera);
-    }
+    const stats = this._frameStats;
+    stats.frames++;
+    stats.frameMs += (performance.now() - frameStart - stats.frameMs) * 0.1;
+    this._chainNextFrame = busy || this._pendingFrames > 0;
+    if (this._chainNextFrame) this.animate();
+  }
+
+  _renderScene() {
+    if (!this.renderer || !this.scene || !this.camera) return;
+    const start = performance.now();
+    this.renderer.render(this.scene, this.camera);
+    const stats = this._frameStats;
+    stats.renderMs += (performance.now() - start - stats.renderMs) * 0.1;
+  }
+
+  // Smoothed CPU time per frame (ms): whole frame, the draw call and each task
+  getFrameStats() {
+    const round = (ms) => Math.round(ms * 100) / 100;
+    const tasks = {};
+    this._frameTasks.forEach(t => { tasks[t.name] = round(t.costMs); });
+    return {
+      frames: this._frameStats.frames,
+      frameMs: round(this._frameStats.frameMs),
+      renderMs: round(this._frameStats.renderMs),
+      tasks,
+      paused: this.getPauseReasons()
+    };
   }
 
   // =============================================================================
@@ -1536,7 +2107,17 @@ class Simple3DLoader {
   // =============================================================================
   
   // Generic helper to load any module script with environment-aware fallback
+  // Each module script is injected once per page; every instance awaits the same load
   async loadModuleScript(primaryUrl, fallbackUrl) {
+    if (!moduleScriptLoads.has(primaryUrl)) {
+      const load = this._injectModuleScript(primaryUrl, fallbackUrl);
+      moduleScriptLoads.set(primaryUrl, load);
+      load.catch(() => moduleScriptLoads.delete(primaryUrl));
+    }
+    return moduleScriptLoads.get(primaryUrl);
+  }
+
+  _injectModuleScript(primaryUrl, fallbackUrl) {
     return new Promise((resolve, reject) => {
       const script = document.createElement('script');
       script.type = 'module';
@@ -1577,13 +2158,30 @@ class Simple3DLoader {
     return 'attach' + pascal;
   }
 
+  // Environment-aware primary/fallback URLs for any repo-relative path (e.g. 'src/config/3d-config.json')
+  getSourceUrls(relativePath) {
+    const localUrl = `http://localhost:8080/${relativePath}`;
+    const prodUrl = `https://webflow-gunther-map.vercel.app/${relativePath}`;
+    return {
+      primary: this.isDevelopment ? localUrl : prodUrl,
+      fallback: this.isDevelopment ? prodUrl : localUrl
+    };
+  }
+
+  // Directory of the Draco ('draco') or Basis/KTX2 ('basis') decoder matching the Three.js bundle.
+  // Deployed next to the versioned bundle; in development Vite serves them from node_modules.
+  getDecoderPath(kind) {
+    const stamped = !THREE_BUNDLE.version.startsWith('__');
+    const relativePath = stamped && !this.isDevelopment
+      ? `vendor/three-${THREE_BUNDLE.version}/${kind}/`
+      : `node_modules/three/examples/jsm/libs/${kind === 'draco' ? 'draco/gltf' : kind}/`;
+    return this.getSourceUrls(relativePath).primary;
+  }
+
   // Load a module from /src/modules/ with environment-aware URLs
   async loadModule(moduleName) {
     try {
-      const localUrl = `http://localhost:8080/src/modules/${moduleName}.js`;
-      const prodUrl = `https://webflow-gunther-map.vercel.app/src/modules/${moduleName}.js`;
-      const primary = this.isDevelopment ? localUrl : prodUrl;
-      const fallback = this.isDevelopment ? prodUrl : localUrl;
+      const { primary, fallback } = this.getSourceUrls(`src/modules/${moduleName}.js`);
       await this.loadModuleScript(primary, fallback);
       const attachFnName = this._deriveAttachFunctionName(moduleName);
       if (typeof window[attachFnName] === 'function') {
@@ -1647,6 +2245,96 @@ class Simple3DLoader {
     }
   }
 
+  // =============================================================================
+  // PUBLIC EVENT API
+  // =============================================================================
+  // loader.on('stationclick', e => console.log(e.detail.station)) or, from page scripts,
+  // container.addEventListener('map3d:stationclick', ...). Events bubble to document.
+
+  on(type, handler) {
+    if (!this._isKnownEvent(type) || typeof handler !== 'function') return this;
+    if (!this.container) {
+      console.warn(`⚠️ on('${type}') called before the container was found`);
+      return this;
+    }
+    this.container.addEventListener(MAP_EVENT_PREFIX + type, handler);
+    return this;
+  }
+
+  off(type, handler) {
+    if (this.container && typeof handler === 'function') {
+      this.container.removeEventListener(MAP_EVENT_PREFIX + type, handler);
+    }
+    return this;
+  }
+
+  // Returns false when a listener called preventDefault() on a cancelable event
+  emit(type, detail = {}, { cancelable = false } = {}) {
+    if (!this.container) return true;
+    const event = new CustomEvent(MAP_EVENT_PREFIX + type, {
+      detail: { ...detail, loader: this },
+      bubbles: true,
+      cancelable
+    });
+    return this.container.dispatchEvent(event);
+  }
+
+  // Emit 'error' once per error object (modules report first, init's catch must not repeat it)
+  reportError(error, stage, fatal = true) {
+    this._reportedErrors = this._reportedErrors || new WeakSet();
+    if (error && typeof error === 'object') {
+      if (this._reportedErrors.has(error)) return;
+      this._reportedErrors.add(error);
+    }
+    this.emit(MAP_EVENTS.ERROR, { error, stage, fatal });
+  }
+
+  _isKnownEvent(type) {
+    if (Object.values(MAP_EVENTS).includes(type)) return true;
+    console.warn(`⚠️ Unknown map event '${type}'. Known events:`, Object.values(MAP_EVENTS));
+    return false;
+  }
+
+  // Shared by legacy + module loaders (GLTFLoader ProgressEvent)
+  emitProgress(progress, url, fallback) {
+    if (!progress) return;
+    const total = progress.total || 0;
+    this.emit(MAP_EVENTS.PROGRESS, {
+      loaded: progress.loaded,
+      total,
+      percent: total ? Math.round(progress.loaded / total * 100) : null,
+      url,
+      fallback
+    });
+  }
+
+  // Emits cameramoveend once the camera settles (after user input, damping or animations).
+  // Returns true while the camera is moving so the render loop stays up for the settle frame.
+  trackCameraMotion() {
+    if (!this.camera) return false;
+    const target = this.controls && this.controls.target;
+    if (!this._lastCameraState) {
+      this._lastCameraState = { position: this.camera.position.clone(), target: target ? target.clone() : null, moving: false };
+      return false;
+    }
+    const last = this._lastCameraState;
+    const epsilon = 1e-4;
+    const moved = last.position.distanceToSquared(this.camera.position) > epsilon ||
+      (target && last.target && last.target.distanceToSquared(target) > epsilon);
+    if (moved) {
+      last.moving = true;
+      last.position.copy(this.camera.position);
+      if (target && last.target) last.target.copy(target);
+    } else if (last.moving) {
+      last.moving = false;
+      this.emit(MAP_EVENTS.CAMERA_MOVE_END, {
+        position: this.camera.position.toArray(),
+        target: target ? target.toArray() : null
+      });
+    }
+    return last.moving;
+  }
+
   // Public method to get model stats
   getStats() {
     if (!this.model) return null;
@@ -1669,13 +2357,21 @@ class Simple3DLoader {
     return {
       triangles: Math.floor(triangleCount),
       vertices: vertexCount,
-      meshes: this.model.children.length
+      meshes: this.model.children.length,
+      modelLevel: this.modelLevel || null,
+      lod: this.getLodStats ? this.getLodStats() : null,
+      meshOptimization: this.getMeshOptimizationStats ? this.getMeshOptimizationStats() : null,
+      modelCache: this.getModelCacheStats ? this.getModelCacheStats() : null,
+      offline: this.getOfflineState ? this.getOfflineState() : null,
+      quality: this.getQualityState ? this.getQualityState() : { tier: this.qualityTier || null },
+      frame: this.getFrameStats(),
+      context: { losses: this._contextLoss.losses, rebuilds: this._contextLoss.rebuilds }
     };
   }
 
   // Public method to update configuration
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    this.config = this.mergeConfig ? this.mergeConfig(this.config, newConfig) : { ...this.config, ...newConfig };
     console.log('⚙️ Configuration updated:', this.config);
 
     // Apply camera settings if scene is initialized
@@ -1686,6 +2382,8 @@ class Simple3DLoader {
       this.controls.maxDistance = this.config.camera.maxDistance;
       this.controls.update();
     }
+    this.applyMotionPolicy();
+    this.invalidate();
   }
 
   // Memory management - comprehensive resource disposal
@@ -1693,7 +2391,11 @@ class Simple3DLoader {
     console.log('🧹 Starting comprehensive resource cleanup...');
 
     // Pause rendering immediately
-    this.pauseRendering = true;
+    this.suspendRendering('disposed');
+    this._frameTasks.forEach(t => { t.removed = true; });
+    this._frameTasks = [];
+    this.hideLoadingOverlay && this.hideLoadingOverlay();
+    this.hideStaticMap && this.hideStaticMap();
 
   // (Phase 1 Cleanup) Flag system disposal removed
 
@@ -1701,8 +2403,28 @@ class Simple3DLoader {
 
   // Phase 3: Interaction system disposal
   this.disposeInteractionSystem && this.disposeInteractionSystem();
-
-    // Clean up model and its materials/geometries
+    this.cancelCameraAnimation && this.cancelCameraAnimation();
+    this.disposeModelDecoders && this.disposeModelDecoders();
+    this.disposeDeepLink && this.disposeDeepLink();
+    this.disposeKeyboardAccess && this.disposeKeyboardAccess();
+    this.disposeStationLabels && this.disposeStationLabels();
+    if (this._motionQuery && this._onMotionPreferenceChange) {
+      if (this._motionQuery.removeEventListener) this._motionQuery.removeEventListener('change', this._onMotionPreferenceChange);
+      else if (this._motionQuery.removeListener) this._motionQuery.removeListener(this._onMotionPreferenceChange);
+      this._motionQuery = null;
+    }
+    if (this._modalCloseObserver) {
+      this._modalCloseObserver.disconnect();
+      this._modalCloseObserver = null;
+    }
+    if (this._modalCoverObserver) {
+      this._modalCoverObserver.disconnect();
+      this._modalCoverObserver = null;
+    }
+
+    // Clean up model and its materials/geometries (a level still fading out goes first)
+    this._finishModelCrossfade && this._finishModelCrossfade();
+    this.disposeModelLod && this.disposeModelLod();
     if (this.model) {
       this.model.traverse((child) => {
         if (child.isMesh) {
@@ -1730,7 +2452,9 @@ class Simple3DLoader {
     }
 
     // Dispose renderer
+    clearTimeout(this._contextLoss.timer);
     if (this.renderer) {
+      this._unwatchContextLoss(this.renderer.domElement);
       this.renderer.dispose();
       if (this.renderer.domElement && this.renderer.domElement.parentNode) {
         this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
@@ -1747,10 +2471,25 @@ class Simple3DLoader {
     }
 
     // Remove event listeners
-    window.removeEventListener('resize', this.onWindowResize);
-    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+    this.unwatchPixelRatio();
+    if (this._windowHandlers) {
+      window.removeEventListener('resize', this._windowHandlers.resize);
+      document.removeEventListener('visibilitychange', this._windowHandlers.visibility);
+      this._windowHandlers = null;
+    }
 
     // Clear references
+    if (this.container && mountedInstances.get(this.container) === this) {
+      mountedInstances.delete(this.container);
+    }
     this.scene = null;
     this.camera = null;
     this.container = null;
@@ -1863,12 +2602,7 @@ class Simple3DLoader {
       };
 
       // Attach listeners to canvas element for scoped interaction
-      const el = this.renderer.domElement;
-      el.addEventListener('mousemove', this._interactionHandlers.pointerMove);
-      el.addEventListener('click', this._interactionHandlers.click);
-      el.addEventListener('touchstart', this._interactionHandlers.touchStart, { passive: true });
-      el.addEventListener('touchmove', this._interactionHandlers.touchMove, { passive: true });
-      el.addEventListener('touchend', this._interactionHandlers.touchEnd, { passive: true });
+      this._bindInteractionListeners(this.renderer.domElement);
 
       this.interactionSystemInitialized = true;
       console.log('🧩 Phase 3 interaction system skeleton initialized');
@@ -1877,6 +2611,18 @@ class Simple3DLoader {
     }
   }
 
+  // Canvas listeners for hover / click / tap (moved to the new canvas when the renderer is rebuilt)
+  _bindInteractionListeners(el, bind = true) {
+    const handlers = this._interactionHandlers;
+    if (!handlers || !el) return;
+    const method = bind ? 'addEventListener' : 'removeEventListener';
+    el[method]('mousemove', handlers.pointerMove);
+    el[method]('click', handlers.click);
+    el[method]('touchstart', handlers.touchStart, { passive: true });
+    el[method]('touchmove', handlers.touchMove, { passive: true });
+    el[method]('touchend', handlers.touchEnd, { passive: true });
+  }
+
   updateNormalizedPointer(event) {
     if (!this.mouse || !this.renderer) return;
     const rect = this.renderer.domElement.getBoundingClientRect();
@@ -1886,14 +2632,7 @@ class Simple3DLoader {
 
   disposeInteractionSystem() {
     if (!this.interactionSystemInitialized || !this.renderer) return;
-    const el = this.renderer.domElement;
-    if (this._interactionHandlers) {
-      el.removeEventListener('mousemove', this._interactionHandlers.pointerMove);
-      el.removeEventListener('click', this._interactionHandlers.click);
-      el.removeEventListener('touchstart', this._interactionHandlers.touchStart);
-      el.removeEventListener('touchmove', this._interactionHandlers.touchMove);
-      el.removeEventListener('touchend', this._interactionHandlers.touchEnd);
-    }
+    this._bindInteractionListeners(this.renderer.domElement, false);
     this.raycaster = null;
     this.mouse = null;
     this.hoveredObject = null;
@@ -1914,60 +2653,80 @@ class Simple3DLoader {
       console.warn('⚠️ Cannot setup interactive objects before model loads');
       return;
     }
-    if (!this.stationMapping) {
-      console.warn('⚠️ Station mapping not defined');
+
+    // Registry module merges config + CMS markup; fall back to config.stations only
+    const stations = typeof this.buildStationRegistry === 'function'
+      ? this.buildStationRegistry()
+      : (this.config.stations || []).filter(s => s && s.mesh && s.modalId);
+    if (!stations.length) {
+      console.warn('⚠️ No stations registered (config.stations or [data-station-mesh] markup in the container / data-map-stations root)');
       return;
     }
+    if (typeof this.buildStationRegistry !== 'function') {
+      this.stations = stations;
+      this.stationMapping = {};
+      stations.forEach(s => { this.stationMapping[s.mesh] = s.modalId; });
+    }
 
     this.interactiveObjects = [];
     this._interactiveMetaMap = new Map();
 
-    const stationKeys = Object.keys(this.stationMapping);
     let foundCount = 0;
-
     const foundKeys = new Set();
+    const unregisteredMeshes = [];
+    // Longest names first so 'Station1' never shadows 'Station10'
+    const candidates = stations.slice().sort((a, b) => b.mesh.length - a.mesh.length);
 
     this.model.traverse((child) => {
       if (!child.isMesh || !child.name) return;
-      for (const key of stationKeys) {
-        // Allow partial / case-insensitive match (e.g., 'Station01', 'station01_mesh')
-        if (child.name.toLowerCase().includes(key.toLowerCase())) {
-          // Clone material to prevent shared-material side effects when highlighting
-            if (child.material && !child.material._isClonedForInteraction) {
-              child.material = child.material.clone();
-              child.material._isClonedForInteraction = true;
-            }
+      const name = child.name.toLowerCase();
+      // Allow partial / case-insensitive match (e.g., 'Station01', 'station01_mesh')
+      const station = candidates.find(s => name.includes(s.mesh.toLowerCase()));
+      if (!station) {
+        if (name.includes('station')) unregisteredMeshes.push(child.name);
+        return;
+      }
 
-          const meta = {
-            object: child,
-            stationKey: key,
-            modalId: this.stationMapping[key],
-            original: {
-              color: child.material && child.material.color ? child.material.color.clone() : null,
-              emissive: child.material && child.material.emissive ? child.material.emissive.clone() : null
-            },
-            currentGlow: 0,
-            targetGlow: 0,
-            highlighted: false
-          };
-          this.interactiveObjects.push(meta);
-          this._interactiveMetaMap.set(child.uuid, meta);
-          foundCount++;
-          foundKeys.add(key);
-          break; // Stop checking other keys for this child
-        }
+      // Clone material to prevent shared-material side effects when highlighting
+      if (child.material && !child.material._isClonedForInteraction) {
+        child.material = child.material.clone();
+        child.material._isClonedForInteraction = true;
       }
+
+      const meta = {
+        object: child,
+        stationKey: station.mesh,
+        modalId: station.modalId,
+        station,
+        original: {
+          color: child.material && child.material.color ? child.material.color.clone() : null,
+          emissive: child.material && child.material.emissive ? child.material.emissive.clone() : null
+        },
+        currentGlow: 0,
+        targetGlow: 0,
+        highlighted: false
+      };
+      this.interactiveObjects.push(meta);
+      this._interactiveMetaMap.set(child.uuid, meta);
+      foundCount++;
+      foundKeys.add(station.mesh);
     });
 
     console.log(`🧭 Interactive stations setup complete: ${foundCount} objects mapped`);
 
-    // Phase 5.1: Log warnings for any missing mapped stations
-    const missing = stationKeys.filter(k => !foundKeys.has(k));
+    // Report registry entries without a mesh and station-like meshes without an entry
+    const missing = stations.map(s => s.mesh).filter(k => !foundKeys.has(k));
     if (missing.length > 0) {
-      console.warn('⚠️ Missing station objects for mapping keys:', missing);
+      console.warn('⚠️ Registered stations without a matching mesh:', missing);
     } else {
-      console.log('✅ All station mapping keys found in model');
+      console.log('✅ All registered stations found in model');
+    }
+    if (unregisteredMeshes.length > 0) {
+      console.warn('⚠️ Station meshes without a registry entry:', unregisteredMeshes);
     }
+    this.stationReport = { matched: Array.from(foundKeys), missing, unregisteredMeshes };
+    this.refreshStationList && this.refreshStationList();
+    this.refreshStationLabels && this.refreshStationLabels();
     // Development overlay
     this.createInteractionDebugOverlay && this.createInteractionDebugOverlay(foundKeys, missing);
   }
@@ -2021,10 +2780,40 @@ class Simple3DLoader {
     const meta = this._interactiveMetaMap && this._interactiveMetaMap.get(hit.uuid);
     if (meta) {
       console.log(`🖱️ Station clicked: ${meta.stationKey} -> modal '${meta.modalId}'`);
-      this.triggerModal(meta.modalId, meta.stationKey);
+      this.activateStation(meta);
     }
   }
 
+  // Shared by pointer clicks and keyboard activation; returns false if a listener cancelled
+  activateStation(meta) {
+    const proceed = this.emit(MAP_EVENTS.STATION_CLICK, this._stationEventDetail(meta), { cancelable: true });
+    if (proceed) this.openStation(meta);
+    return proceed;
+  }
+
+  // Optionally fly the camera to the station first, then open its modal.
+  // options.fly overrides config.interaction.flyToStation.enabled (deep links always fly).
+  async openStation(meta, { fly } = {}) {
+    const flyCfg = this.config.interaction?.flyToStation || {};
+    const wantsFly = (fly ?? flyCfg.enabled) && !this.degraded;
+    // The animation module loads when the browser is idle; a click or deep link can come first
+    if (wantsFly && typeof this.flyToStation !== 'function') {
+      await this.loadModule('core/animation-system').catch(() => {}); // logged; the modal still opens
+    }
+    const flew = wantsFly && typeof this.flyToStation === 'function';
+    if (flew) await this.flyToStation(meta);
+    this.triggerModal(meta.modalId, meta.stationKey);
+    this._openStationId = meta.modalId;
+    this.updateDeepLink && this.updateDeepLink(meta);
+
+    const returnOnClose = flew && flyCfg.returnOnClose !== false && typeof this.flyBack === 'function';
+    this.observeModalClose(meta.modalId, () => {
+      if (this._openStationId === meta.modalId) this._openStationId = null;
+      if (returnOnClose) this.flyBack();
+      this.clearDeepLink && this.clearDeepLink(meta);
+    });
+  }
+
   applyHover(object) {
     this.hoveredObject = object;
     if (!this._interactiveMetaMap) return;
@@ -2032,9 +2821,15 @@ class Simple3DLoader {
     if (!meta) return;
     meta.targetGlow = 1; // Animate towards highlight
     meta.highlighted = true;
+    this.invalidate();
     if (this.renderer && this.renderer.domElement) {
       this.renderer.domElement.style.cursor = 'pointer';
     }
+    this.emit(MAP_EVENTS.STATION_HOVER, this._stationEventDetail(meta));
+  }
+
+  _stationEventDetail(meta) {
+    return { station: meta.station || null, stationKey: meta.stationKey, modalId: meta.modalId };
   }
 
   clearHover() {
@@ -2043,6 +2838,8 @@ class Simple3DLoader {
     if (meta) {
       meta.targetGlow = 0;
       meta.highlighted = false;
+      this.invalidate();
+      this.emit(MAP_EVENTS.STATION_HOVER_OUT, this._stationEventDetail(meta));
     }
     this.hoveredObject = null;
     if (this.renderer && this.renderer.domElement) {
@@ -2050,9 +2847,9 @@ class Simple3DLoader {
     }
   }
 
-  // Smooth visual feedback executed each frame from animate()
+  // Smooth visual feedback executed each frame (frame task 'station-glow'); returns true while a glow is still easing
   updateInteractionVisuals() {
-    if (!this.interactiveObjects || this.interactiveObjects.length === 0) return;
+    if (!this.interactiveObjects || this.interactiveObjects.length === 0) return false;
     let active = this.hoveredObject != null;
     if (!active) {
       for (let i = 0; i < this.interactiveObjects.length; i++) {
@@ -2060,10 +2857,14 @@ class Simple3DLoader {
         if (m.currentGlow > 0.001 || m.targetGlow > 0.001) { active = true; break; }
       }
     }
-    if (!active) return; // nothing to update this frame
+    if (!active) return false; // nothing to update this frame
     const highlightColor = new THREE.Color(0xffd54f); // Warm accent
+    const easing = this.reducedMotion ? 1 : 0.15; // reduced motion: glow switches instantly
+    let easingGlow = false;
     this.interactiveObjects.forEach(meta => {
-      meta.currentGlow += (meta.targetGlow - meta.currentGlow) * 0.15; // easing factor
+      meta.currentGlow += (meta.targetGlow - meta.currentGlow) * easing;
+      if (Math.abs(meta.targetGlow - meta.currentGlow) > 0.001) easingGlow = true;
+      else meta.currentGlow = meta.targetGlow;
       if (!meta.object.material) return;
       const mat = meta.object.material;
       if (mat.emissive) {
@@ -2073,6 +2874,7 @@ class Simple3DLoader {
         mat.color.copy(meta.original.color.clone().lerp(highlightColor, meta.currentGlow * 0.5));
       }
     });
+    return easingGlow;
   }
 
   // Placeholder methods for debug panels (will be overridden when debug module loads)
@@ -2146,6 +2948,9 @@ class Simple3DLoader {
     // Attempt to lazy load assets for this modal after dispatch (modal may mount asynchronously)
     this.lazyLoadModalAssets(modalId);
 
+    // Stop rendering while the modal hides the map (config.performance.pauseWhenObscured.modal)
+    if (this.config.performance?.pauseWhenObscured?.modal !== false) this.watchModalCover(modalId);
+
     // Clean temporary element
     if (created) {
       setTimeout(() => {
@@ -2154,6 +2959,107 @@ class Simple3DLoader {
     }
   }
 
+  _findModalElement(modalId) {
+    const selectors = [
+      `[data-modal-id="${modalId}"]`,
+      `[data-modal="${modalId}"]`,
+      `[data-modal-target="${modalId}"]`, // Lumos modal dialogs
+      `#${modalId}`
+    ];
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  // Watch the modal for modalId: onShow when it becomes visible, onHide when it is hidden again.
+  // Webflow toggles inline styles/classes, so watch attribute changes and re-check visibility.
+  // Stops on hide, or after openTimeoutMs if the modal never appeared (e.g. no modal markup).
+  _watchModalVisibility(modalId, { onShow, onHide, openTimeoutMs = 3000 } = {}) {
+    let wasVisible = false;
+    let scheduled = false;
+    const check = () => {
+      scheduled = false;
+      const el = this._findModalElement(modalId);
+      const visible = !!el && this._isElementVisible(el);
+      if (visible && !wasVisible) {
+        wasVisible = true;
+        onShow && onShow(el);
+      } else if (!visible && wasVisible) {
+        observer.disconnect();
+        onHide && onHide();
+      }
+    };
+    const observer = new MutationObserver(() => {
+      if (!scheduled) {
+        scheduled = true;
+        requestAnimationFrame(check);
+      }
+    });
+    observer.observe(document.body, { attributes: true, subtree: true, attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'open'] });
+    check();
+    setTimeout(() => {
+      if (!wasVisible) observer.disconnect();
+    }, openTimeoutMs);
+    return observer;
+  }
+
+  // Call onClose once the modal for modalId has been shown and hidden again.
+  observeModalClose(modalId, onClose, { openTimeoutMs = 3000 } = {}) {
+    if (this._modalCloseObserver) this._modalCloseObserver.disconnect();
+    const observer = this._watchModalVisibility(modalId, {
+      openTimeoutMs,
+      onHide: () => {
+        if (this._modalCloseObserver === observer) this._modalCloseObserver = null;
+        onClose();
+      }
+    });
+    this._modalCloseObserver = observer;
+    return observer;
+  }
+
+  // Pause rendering while the modal for modalId covers the whole visible map; resume when it closes
+  watchModalCover(modalId) {
+    if (this._modalCoverObserver) this._modalCoverObserver.disconnect();
+    this.resumeRendering('modal');
+    const observer = this._watchModalVisibility(modalId, {
+      onShow: (el) => {
+        // Judge coverage once open transitions have finished (slide / fade-in)
+        const animations = typeof el.getAnimations === 'function' ? el.getAnimations({ subtree: true }) : [];
+        Promise.allSettled(animations.map(a => a.finished)).then(() => {
+          if (this._modalCoverObserver === observer && this._modalCoversMap(el)) this.suspendRendering('modal');
+        });
+      },
+      onHide: () => {
+        if (this._modalCoverObserver === observer) this._modalCoverObserver = null;
+        this.resumeRendering('modal');
+      }
+    });
+    this._modalCoverObserver = observer;
+  }
+
+  // True when the modal (or its backdrop) is on top at the centre and corners of the map's visible area
+  _modalCoversMap(modalEl) {
+    if (!this.container || typeof document.elementFromPoint !== 'function') return false;
+    const rect = this.container.getBoundingClientRect();
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    const right = Math.min(rect.right, window.innerWidth);
+    const bottom = Math.min(rect.bottom, window.innerHeight);
+    if (right - left < 1 || bottom - top < 1) return false;
+    const inset = 4;
+    const points = [
+      [(left + right) / 2, (top + bottom) / 2],
+      [left + inset, top + inset], [right - inset, top + inset],
+      [left + inset, bottom - inset], [right - inset, bottom - inset]
+    ];
+    return points.every(([x, y]) => {
+      const hit = document.elementFromPoint(x, y);
+      return !!hit && modalEl.contains(hit);
+    });
+  }
+
   _isElementVisible(el) {
     if (!el) return false;
     const style = window.getComputedStyle(el);
@@ -2177,16 +3083,7 @@ class Simple3DLoader {
     this._lazyLoadedModals = this._lazyLoadedModals || new Set();
     if (this._lazyLoadedModals.has(modalId)) return; // already done
 
-    const selectors = [
-      `[data-modal-id="${modalId}"]`,
-      `[data-modal="${modalId}"]`,
-      `#${modalId}`
-    ];
-    let modalEl = null;
-    for (const sel of selectors) {
-      modalEl = document.querySelector(sel);
-      if (modalEl) break;
-    }
+    const modalEl = this._findModalElement(modalId);
 
     // If modal not yet in DOM (maybe created lazily by framework), retry up to 10 times
     if (!modalEl) {
@@ -2241,6 +3138,8 @@ class Simple3DLoader {
     });
 
     this._lazyLoadedModals.add(modalId);
+    // Visited stations open offline too (config.offline)
+    this.cacheStationAssets && this.cacheStationAssets(modalId, modalEl);
   }
 }
 
@@ -2259,16 +3158,30 @@ window.enableDebugPanels = async function() {
   await loader.enableDebugPanels();
 };
 
-// Auto-initialization
+// Auto-initialization: every top-level default container without data-map-autoinit="false".
+// window.simple3DLoader stays the first map for existing embeds and the debug helpers;
+// further maps are reached through Simple3DLoader.getInstance(el) or their map3d:* events.
+function autoMountMaps() {
+  const containers = Array.from(document.querySelectorAll(DEFAULT_CONTAINER_SELECTOR))
+    .filter(el => el.dataset.mapAutoinit !== 'false')
+    .filter((el, _, all) => !all.some(other => other !== el && other.contains(el)));
+  if (!containers.length) {
+    console.error('WebGL container not found! Looking for #webgl-container');
+    return;
+  }
+  const loaders = containers.map(el => Simple3DLoader.mount(el));
+  window.simple3DLoader = loaders[0];
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    window.simple3DLoader = new Simple3DLoader();
-  });
+  document.addEventListener('DOMContentLoaded', autoMountMaps);
 } else {
-  window.simple3DLoader = new Simple3DLoader();
+  autoMountMaps();
 }
 
 // Export for manual initialization if needed
+Simple3DLoader.EVENTS = MAP_EVENTS;
+Simple3DLoader.FRAME_PRIORITY = FRAME_PRIORITY;
 window.Simple3DLoader = Simple3DLoader;
 
 console.log('📦 Simple 3D Loader with Configuration script loaded');
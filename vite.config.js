@@ -1,16 +1,50 @@
 import { defineConfig } from 'vite';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { prepareConfig, formatConfigErrors } from './src/modules/shared/config-validation.js';
+
+const CONFIG_DIR = path.join(process.cwd(), 'src', 'config');
+
+// Migrate + validate an uploaded configuration against the shared schema; throws with path-level errors
+const prepareUploadedConfig = (configData) => {
+  const schema = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, '3d-config-schema.json'), 'utf8'));
+  const { config, valid, errors, migration } = prepareConfig(configData, schema);
+  if (!valid) {
+    const error = new Error(`Invalid configuration:\n${formatConfigErrors(errors)}`);
+    error.details = errors;
+    throw error;
+  }
+  if (migration.applied.length) {
+    console.log(`⚙️ Configuration migrated ${migration.from} -> ${migration.to}`);
+  }
+  return config;
+};
+
+// Exact installed three version (package.json pins it); names the self-hosted vendor bundle
+const THREE_VERSION = JSON.parse(
+  fs.readFileSync(path.join(process.cwd(), 'node_modules', 'three', 'package.json'), 'utf8')
+).version;
+const THREE_BUNDLE_NAME = `vendor/three-${THREE_VERSION}`;
+// Draco / Basis decoders fetched at runtime by DRACOLoader / KTX2Loader (same version as the bundle)
+const THREE_DECODERS = {
+  draco: path.join('examples', 'jsm', 'libs', 'draco', 'gltf'),
+  basis: path.join('examples', 'jsm', 'libs', 'basis')
+};
 
 // Get all script files dynamically
 const getScriptEntries = () => {
-  const entries = {};
+  const entries = {
+    // Three.js + GLTFLoader + OrbitControls, served from our origin instead of a CDN
+    [THREE_BUNDLE_NAME]: './src/vendor/three.js'
+  };
   
   const scriptsDir = './src/scripts';
   if (fs.existsSync(scriptsDir)) {
     const files = fs.readdirSync(scriptsDir);
     files.forEach(file => {
-      if (file.endsWith('.js')) {
+      // The offline service worker is copied and stamped verbatim by scripts/copy-static.js
+      if (file.endsWith('.js') && file !== 'map3d-sw.js') {
         const name = file.replace('.js', '');
         entries[`scripts/${name}`] = `${scriptsDir}/${file}`;
       }
@@ -80,20 +114,11 @@ export default defineConfig({
               
               req.on('end', () => {
                 try {
-                  const configData = JSON.parse(body);
-                  
-                  // Validate configuration structure
-                  if (!configData.version || !configData.camera) {
-                    throw new Error('Invalid configuration structure');
-                  }
+                  // Validate (and migrate older versions) against the shared schema
+                  const configData = prepareUploadedConfig(JSON.parse(body));
                   
-                  // Write to config directory
-                  const configDir = path.join(process.cwd(), 'config');
-                  if (!fs.existsSync(configDir)) {
-                    fs.mkdirSync(configDir, { recursive: true });
-                  }
-                  
-                  const configFile = path.join(configDir, '3d-config.json');
+                  // Write to the runtime config the loader fetches
+                  const configFile = path.join(CONFIG_DIR, '3d-config.json');
                   fs.writeFileSync(configFile, JSON.stringify(configData, null, 2));
                   
                   console.log('✅ Configuration uploaded successfully');
@@ -110,7 +135,8 @@ export default defineConfig({
                   res.statusCode = 400;
                   res.end(JSON.stringify({ 
                     success: false, 
-                    error: error.message 
+                    error: error.message,
+                    details: error.details || []
                   }));
                 }
               });
@@ -142,20 +168,16 @@ export default defineConfig({
               
               req.on('end', async () => {
                 try {
-                  const { config, commitMessage } = JSON.parse(body);
+                  const { config: rawConfig, commitMessage } = JSON.parse(body);
                   
-                  // Validate configuration
-                  if (!config || !config.version) {
+                  // Validate (and migrate older versions) against the shared schema
+                  if (!rawConfig) {
                     throw new Error('Invalid configuration data');
                   }
+                  const config = prepareUploadedConfig(rawConfig);
                   
-                  // Write to config directory first
-                  const configDir = path.join(process.cwd(), 'config');
-                  if (!fs.existsSync(configDir)) {
-                    fs.mkdirSync(configDir, { recursive: true });
-                  }
-                  
-                  const configFile = path.join(configDir, '3d-config.json');
+                  // Write to the runtime config the loader fetches
+                  const configFile = path.join(CONFIG_DIR, '3d-config.json');
                   fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
                   
                   // Simulate GitHub commit (would use GitHub API in production)
@@ -176,7 +198,8 @@ export default defineConfig({
                   res.statusCode = 400;
                   res.end(JSON.stringify({ 
                     success: false, 
-                    error: error.message 
+                    error: error.message,
+                    details: error.details || []
                   }));
                 }
               });
@@ -198,9 +221,9 @@ export default defineConfig({
     {
       name: 'copy-config-files',
       writeBundle() {
-        // Copy config directory to dist
-        const configSrc = path.join(process.cwd(), 'config');
-        const configDest = path.join(process.cwd(), 'dist', 'config');
+        // Copy runtime config + schema to dist (single source: src/config)
+        const configSrc = CONFIG_DIR;
+        const configDest = path.join(process.cwd(), 'dist', 'src', 'config');
         
         if (fs.existsSync(configSrc)) {
           if (!fs.existsSync(configDest)) {
@@ -217,6 +240,42 @@ export default defineConfig({
         }
       }
     },
+    {
+      name: 'three-bundle-integrity',
+      writeBundle(options, bundle) {
+        // SRI hash of the emitted bundle; scripts/copy-static.js stamps it into the deployed loader
+        const fileName = `${THREE_BUNDLE_NAME}.js`;
+        if (!bundle[fileName]) {
+          console.warn(`⚠️ ${fileName} missing from bundle; loader will not be stamped`);
+          return;
+        }
+        // Hash the bytes on disk, exactly what the browser will verify
+        const code = fs.readFileSync(path.join(options.dir, fileName));
+        const integrity = 'sha384-' + crypto.createHash('sha384').update(code).digest('base64');
+        const manifest = { version: THREE_VERSION, file: fileName, integrity };
+        fs.writeFileSync(path.join(options.dir, 'vendor', 'three-manifest.json'), JSON.stringify(manifest, null, 2));
+        console.log(`[three] ${fileName} ${integrity}`);
+      }
+    },
+    {
+      name: 'three-decoders',
+      writeBundle(options) {
+        const threeDir = path.join(process.cwd(), 'node_modules', 'three');
+        Object.entries(THREE_DECODERS).forEach(([kind, dir]) => {
+          const srcDir = path.join(threeDir, dir);
+          const destDir = path.join(options.dir, THREE_BUNDLE_NAME, kind);
+          if (!fs.existsSync(srcDir)) {
+            console.warn(`⚠️ ${kind} decoder missing from node_modules/three; compressed models will not load`);
+            return;
+          }
+          fs.mkdirSync(destDir, { recursive: true });
+          fs.readdirSync(srcDir)
+            .filter(file => file.endsWith('.js') || file.endsWith('.wasm'))
+            .forEach(file => fs.copyFileSync(path.join(srcDir, file), path.join(destDir, file)));
+          console.log(`[three] ${kind} decoder -> ${path.relative(process.cwd(), destDir)}`);
+        });
+      }
+    },
     {
       name: 'copy-modules-directory',
       writeBundle() {